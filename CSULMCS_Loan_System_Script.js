@@ -20,66 +20,698 @@ const ARCHIVE_SHEET_NAME = 'Archive';
 const LOAN_INTENT_SHEET_NAME = 'Intent';
 const FINANCE_OFFICERS_SHEET_NAME = 'FinanceOfficers';
 const LOGS_SHEET_NAME = 'Logs';
-const REMINDER_DAYS_LIMIT = 7;
+const STATUS_HISTORY_SHEET_NAME = 'StatusHistory';
+const APPROVAL_STAGES_SHEET_NAME = 'ApprovalStages';
+const REPAYMENTS_SHEET_NAME = 'Repayments';
+const PAYMENTS_SHEET_NAME = 'Payments';
+const PAYMENT_IMPORT_SHEET_NAME = 'PaymentImport';
+const ELIGIBILITY_RULES_SHEET_NAME = 'EligibilityRules';
+const EMAIL_TEMPLATES_SHEET_NAME = 'EmailTemplates';
+const OUTBOX_SHEET_NAME = 'Outbox';
+const ACCESS_TOKENS_SHEET_NAME = 'AccessTokens';
+const DASHBOARD_SHEET_NAME = 'Dashboard';
+const AUDIT_TRAIL_SHEET_NAME = 'AuditTrail';
+const ARCHIVE_SEARCH_SHEET_NAME = 'ArchiveSearch';
+const FLAGS_SHEET_NAME = 'Flags';
+const MEMBERS_SHEET_NAME = 'Members';
+const SETTINGS_SHEET_NAME = 'Settings';
+const REMINDER_LADDER_SHEET_NAME = 'ReminderLadder';
+const MAIL_PREVIEW_SHEET_NAME = 'MailPreview';
+const FORM_EVENTS_SHEET_NAME = 'FormEvents';
+const DRY_RUN_SUFFIX = ' (Dry Run)';
+const DEFAULT_REMINDER_DAYS = 7;
+const DEFAULT_REMINDER_HOUR = 8;
+const DEFAULT_ESCALATION_DAYS = 2;
+const DEFAULT_PENDING_REMINDER_DAYS = 3;
+const INTEREST_METHOD_FLAT = 'Flat';
+const INTEREST_METHOD_REDUCING = 'Reducing';
+const DEFAULT_INTEREST_RATE = 10;
+const DEFAULT_INTEREST_METHOD = INTEREST_METHOD_FLAT;
+const DEFAULT_OVERDUE_NOTICE_INTERVAL_DAYS = 7;
+const DEFAULT_OVERDUE_LIABILITY_DAYS = 30;
+const INSTALLMENT_DUE = 'Due';
+const INSTALLMENT_PART_PAID = 'PartPaid';
+const INSTALLMENT_PAID = 'Paid';
+const INSTALLMENT_OVERDUE = 'Overdue';
+const DEFAULT_MAX_ACTIVE_GUARANTEES = 0;
+const DEFAULT_MAX_GUARANTEED_AMOUNT = 0;
+const GUARANTOR_LIMIT_REJECT = 'Reject';
+const GUARANTOR_LIMIT_FLAG = 'Flag';
+const SCRIPT_LOCK_TIMEOUT_MS = 30000;
+const DEFAULT_ASSIGNMENT_MODE = 'LeastOpen';
+const STATUS_PENDING_FINANCE_OFFICER = 'PendingFinanceOfficer';
+const STATUS_APPLICANT_SUBMITTED = 'ApplicantSubmitted';
+const STATUS_FINANCE_REVIEWED = 'FinanceReviewed';
+const STATUS_EXPIRED = 'Expired';
+const STATUS_PENDING_APPROVAL = 'PendingApproval';
+const STATUS_COMPLETED = 'Completed';
+const STATUS_REJECTED = 'Rejected';
+const APPLICANT_FIELD_HEADERS = {
+  applicantName: 'Name', applicantEmail: 'Email', applicantPhone: 'Phone', homeAddress: 'HomeAddress',
+  loanAmountFigures: 'LoanAmountFigures', loanAmountWords: 'LoanAmountWords', repaymentPeriod: 'RepaymentPeriod',
+  bankName: 'BankName', accountName: 'AccountName', accountNumber: 'AccountNumber',
+  guarantor1Name: 'Guarantor1Name', guarantor1Id: 'Guarantor1ID', guarantor1Email: 'Guarantor1Email', guarantor1Phone: 'Guarantor1Phone',
+  guarantor2Name: 'Guarantor2Name', guarantor2Id: 'Guarantor2ID', guarantor2Email: 'Guarantor2Email', guarantor2Phone: 'Guarantor2Phone'
+};
 const ROLE_APPLICANT = 'Applicant';
 const ROLE_FINANCE = 'Finance Officer';
 const ROLE_GUARANTOR = 'Guarantor';
-const SENDER_NAME = 'CSULMCS Finance Team';
-const EMAIL_FOOTER = `
-  <hr style="border: 1px solid #ccc; margin: 20px 0;">
-  <p style="font-size: 12px; color: #333; text-align: center;">
-    Sent by the <strong>CSULMCS Loan Management System</strong>.<br>
-    © 2025 CSULMCS. All rights reserved.
-  </p>`;
-const EMAIL_REGARDS = `<p style="font-family: Arial, sans-serif;">Regards,<br>CSULMCS Finance Team</p>`;
+const ROLE_REPLACEMENT = 'Replacement Guarantor';
+const GUARANTOR_DECLINE = 'Decline';
+const CONSENT_PENDING = 'Pending';
+const CONSENT_ACCEPTED = 'Accepted';
+const CONSENT_DECLINED = 'Declined';
+const GUARANTOR_CONSENT_HEADERS = ['Guarantor1Consent', 'Guarantor2Consent', 'Guarantor1RequestedAt', 'Guarantor2RequestedAt'];
+const REMINDER_TRACKING_HEADERS = ['Guarantor1SubmittedAt', 'Guarantor2SubmittedAt', 'EscalatedDeadline'];
+const DEFAULT_SENDER_NAME = 'CSULMCS Finance Team';
+const DEFAULT_EMAIL_FOOTER = 'Sent by the <strong>CSULMCS Loan Management System</strong>.<br>© 2025 CSULMCS. All rights reserved.';
+const OUTBOX_QUEUED = 'Queued';
+const OUTBOX_RETRY = 'Retry';
+const OUTBOX_SENT = 'Sent';
+const OUTBOX_FAILED = 'Failed';
+const DEFAULT_OUTBOX_MAX_ATTEMPTS = 5;
+const DEFAULT_OUTBOX_RETRY_BASE_MINUTES = 10;
+const DEFAULT_OUTBOX_BATCH_SIZE = 100;
+const DEFAULT_OUTBOX_SENT_RETENTION_DAYS = 90;
+// Dedupe keys are per day and no day sends more than the 1500-email MailApp quota, so this many rows covers today.
+const OUTBOX_DEDUPE_SCAN_ROWS = 2000;
+const CHANNEL_EMAIL = 'Email';
+const CHANNEL_SMS = 'SMS';
+const CHANNEL_WHATSAPP = 'WhatsApp';
+const SCHEMA_VERSION = 11;
+const MEMBER_STATUS_ACTIVE = 'Active';
+const FLAG_OPEN = 'Open';
+const FLAG_CLEARED = 'Cleared';
+const FORM_EVENT_PENDING = 'Pending';
+const FORM_EVENT_PROCESSED = 'Processed';
+const FORM_EVENT_FAILED = 'Failed';
+const DRY_RUN_SHEETS = [
+  CONTROL_SHEET_NAME, ARCHIVE_SHEET_NAME, LOAN_INTENT_SHEET_NAME, STATUS_HISTORY_SHEET_NAME,
+  REPAYMENTS_SHEET_NAME, PAYMENTS_SHEET_NAME, FLAGS_SHEET_NAME, ACCESS_TOKENS_SHEET_NAME
+];
+
+// --- SHEET SCHEMAS ---
+
+/**
+ * Control (and Archive) columns in order: the original A:AP layout followed by columns added by later features.
+ */
+const CONTROL_HEADERS = [
+  'GroupID', 'CooperatorID', 'Name', 'Email', 'Phone', 'HomeAddress', 'LoanAmountFigures',
+  'LoanAmountWords', 'RepaymentPeriod', 'Guarantor1Name', 'Guarantor1ID', 'Guarantor1Email', 'Guarantor1Phone',
+  'Guarantor2Name', 'Guarantor2ID', 'Guarantor2Email', 'Guarantor2Phone', 'ApproverName', 'ApproverID',
+  'ApproverEmail', 'ApproverPhone', 'Status', 'ApplicantLink', 'FinanceLink', 'ApplicationStatus', 'Locked',
+  'Timestamp', 'Comments', 'BankName', 'AccountName', 'AccountNumber', 'ApplicantBalance', 'ApplicantRating',
+  'Guarantor1Balance', 'Guarantor1Rating', 'Guarantor2Balance', 'Guarantor2Rating', 'FinanceOfficerName',
+  'FinanceOfficerID', 'FinanceOfficerEmail', 'FinanceOfficerPhone', 'Notified',
+  ...GUARANTOR_CONSENT_HEADERS, 'EligibilityResult', 'EligibilityDetails', 'CurrentStage', 'StageStartedAt',
+  'StageDecisions', 'AgreementLink', 'ExtensionDays', ...REMINDER_TRACKING_HEADERS, 'ArchivedAt',
+  'GuarantorLimitNote'
+];
+
+/**
+ * Header layout of every tab the script owns, keyed by sheet name. Intent is left out because its
+ * headers are the Intent Form's question titles, and Dashboard because it is rebuilt on every run.
+ * Dry-run sandbox copies are not listed; they are copied from the live tabs.
+ */
+const SHEET_SCHEMAS = {
+  [CONTROL_SHEET_NAME]: { headers: CONTROL_HEADERS, getSheet: () => getControlSheet() },
+  [ARCHIVE_SHEET_NAME]: { headers: CONTROL_HEADERS, getSheet: () => getArchiveSheet() },
+  [FINANCE_OFFICERS_SHEET_NAME]: {
+    headers: ['Name', 'ID', 'Email', 'Phone', 'Active', 'MaxOpen'],
+    getSheet: () => getFinanceOfficersSheet()
+  },
+  [LOGS_SHEET_NAME]: {
+    headers: ['Timestamp', 'Action', 'Details', 'Actor', 'Source', 'GroupID', 'Field', 'Before', 'After'],
+    getSheet: () => getLogsSheet()
+  },
+  [STATUS_HISTORY_SHEET_NAME]: {
+    headers: ['GroupID', 'FromStatus', 'ToStatus', 'Actor', 'Timestamp', 'Reason'],
+    getSheet: () => getStatusHistorySheet()
+  },
+  [APPROVAL_STAGES_SHEET_NAME]: {
+    headers: ['Order', 'Stage', 'Role', 'AssigneeNames', 'AssigneeEmails', 'ReminderDays', 'Active'],
+    getSheet: () => getApprovalStagesSheet()
+  },
+  [REPAYMENTS_SHEET_NAME]: {
+    headers: ['GroupID', 'InstallmentNo', 'DueDate', 'Principal', 'Interest', 'Installment', 'Balance', 'AmountPaid', 'PaidDate', 'Status'],
+    getSheet: () => getRepaymentsSheet()
+  },
+  [PAYMENTS_SHEET_NAME]: {
+    headers: ['Timestamp', 'GroupID', 'Amount', 'PaymentDate', 'Reference', 'Source'],
+    getSheet: () => getPaymentsSheet()
+  },
+  [PAYMENT_IMPORT_SHEET_NAME]: {
+    headers: ['GroupID', 'Amount', 'PaymentDate', 'Reference', 'ImportStatus'],
+    getSheet: () => getPaymentImportSheet()
+  },
+  [ELIGIBILITY_RULES_SHEET_NAME]: {
+    headers: ['RuleID', 'Description', 'Type', 'Value', 'Active'],
+    getSheet: () => getEligibilityRulesSheet()
+  },
+  [EMAIL_TEMPLATES_SHEET_NAME]: { headers: ['Event', 'Subject', 'Body', 'Text'], getSheet: () => getEmailTemplatesSheet() },
+  [OUTBOX_SHEET_NAME]: {
+    headers: ['MessageID', 'QueuedAt', 'To', 'Subject', 'Body', 'Status', 'Attempts', 'NextAttemptAt', 'SentAt', 'LastError', 'DedupeKey', 'Attachments', 'Channel'],
+    getSheet: () => getOutboxSheet()
+  },
+  [ACCESS_TOKENS_SHEET_NAME]: {
+    headers: ['Token', 'GroupID', 'Role', 'Email', 'Name', 'CreatedAt', 'LastUsedAt', 'Active'],
+    getSheet: () => getAccessTokensSheet()
+  },
+  [MEMBERS_SHEET_NAME]: {
+    headers: ['ID', 'Name', 'Email', 'Phone', 'JoinDate', 'Status', 'Channel'],
+    getSheet: () => getMembersSheet()
+  },
+  [SETTINGS_SHEET_NAME]: { headers: ['Key', 'Value', 'Description'], getSheet: () => getSettingsSheet() },
+  [REMINDER_LADDER_SHEET_NAME]: { headers: ['DaysLeft', 'Urgency', 'Message'], getSheet: () => getReminderLadderSheet() },
+  [FLAGS_SHEET_NAME]: {
+    headers: ['FlagID', 'CreatedAt', 'GroupID', 'Type', 'Value', 'RelatedGroups', 'Details', 'Status', 'ClearedBy', 'ClearedAt', 'Note'],
+    getSheet: () => getFlagsSheet()
+  },
+  [MAIL_PREVIEW_SHEET_NAME]: {
+    headers: ['PreviewedAt', 'To', 'Subject', 'Body', 'Attachments', 'Channel', 'Source'],
+    getSheet: () => getMailPreviewSheet()
+  },
+  [FORM_EVENTS_SHEET_NAME]: { headers: ['EventID', 'ReceivedAt', 'Form', 'Email', 'Values', 'Status'], getSheet: () => getFormEventsSheet() }
+};
+
+/**
+ * Data migrations, oldest first. Each runs once, when the stored SCHEMA_VERSION is below its version,
+ * after the sheets it lists have been backed up. Missing columns are added after every run.
+ */
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move Notified values written into FinanceOfficerPhone and name the unlabelled Archive Notified column',
+    sheets: [CONTROL_SHEET_NAME, ARCHIVE_SHEET_NAME],
+    migrate: () => [CONTROL_SHEET_NAME, ARCHIVE_SHEET_NAME].forEach(name => {
+      const sheet = SHEET_SCHEMAS[name].getSheet();
+      const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+      const notifiedCol = CONTROL_HEADERS.indexOf('Notified') + 1;
+      if (!headers.includes('Notified') && !headers[notifiedCol - 1]) {
+        sheet.getRange(1, notifiedCol).setValue('Notified');
+        reloadTable(name);
+      }
+      ensureHeaders(sheet, ['FinanceOfficerPhone', 'Notified']);
+      const table = getTable(name);
+      table.rows.forEach(row => {
+        const phone = row[table.col('FinanceOfficerPhone') - 1];
+        if (phone !== 'FALSE' && phone !== false) return;
+        table.update(row, {
+          'FinanceOfficerPhone': '',
+          'Notified': row[table.col('Notified') - 1] || 'FALSE'
+        });
+      });
+    })
+  },
+  {
+    version: 9,
+    description: 'Move guarantor limit notes out of Comments into GuarantorLimitNote',
+    sheets: [CONTROL_SHEET_NAME, ARCHIVE_SHEET_NAME],
+    migrate: () => [CONTROL_SHEET_NAME, ARCHIVE_SHEET_NAME].forEach(name => {
+      ensureHeaders(SHEET_SCHEMAS[name].getSheet(), CONTROL_HEADERS);
+      const table = getTable(name);
+      table.rows.forEach(row => {
+        const comments = String(row[table.col('Comments') - 1] || '');
+        if (!comments.startsWith('Guarantor limit exceeded: ')) return;
+        table.update(row, { 'Comments': '', 'GuarantorLimitNote': comments });
+      });
+    })
+  },
+  {
+    version: 10,
+    description: 'Add the status portal link to EmailTemplates rows that still hold their original default wording',
+    sheets: [EMAIL_TEMPLATES_SHEET_NAME],
+    migrate: () => refreshUneditedEmailTemplates(SUPERSEDED_EMAIL_TEMPLATES[10])
+  },
+  {
+    version: 11,
+    description: 'Add the reminder ladder urgency to EmailTemplates reminder rows that still hold their original default wording',
+    sheets: [EMAIL_TEMPLATES_SHEET_NAME],
+    migrate: () => refreshUneditedEmailTemplates(SUPERSEDED_EMAIL_TEMPLATES[11])
+  }
+];
+
+/**
+ * Gets the schema version the sheets were last migrated to.
+ * @returns {number} Stored version, or 0 if the sheets have never been migrated.
+ */
+function getStoredSchemaVersion() {
+  return parseInt(PropertiesService.getScriptProperties().getProperty('SCHEMA_VERSION'), 10) || 0;
+}
+
+/**
+ * Compares a tab's header row with its schema.
+ * @param {string} name Sheet name from SHEET_SCHEMAS.
+ * @returns {Object} { name, exists, missing, extra, misordered } (header lists).
+ */
+function checkSheetSchema(name) {
+  const expected = SHEET_SCHEMAS[name].headers;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(name);
+  if (!sheet) return { name: name, exists: false, missing: expected.slice(), extra: [], misordered: [] };
+  const lastColumn = sheet.getLastColumn();
+  const actual = lastColumn ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  const extra = actual.map((header, i) => header ? header : `(blank column ${i + 1})`)
+    .filter(header => !expected.includes(header));
+  const present = expected.filter(header => actual.includes(header));
+  const actualOrder = actual.filter(header => expected.includes(header));
+  return {
+    name: name,
+    exists: true,
+    missing: expected.filter(header => !actual.includes(header)),
+    extra: extra,
+    misordered: present.filter((header, i) => actualOrder[i] !== header)
+  };
+}
+
+/**
+ * Checks every tab against SHEET_SCHEMAS and reports missing, extra and misordered headers.
+ */
+function validateSchemas() {
+  const problems = [];
+  Object.keys(SHEET_SCHEMAS).forEach(name => {
+    const result = checkSheetSchema(name);
+    if (!result.exists) {
+      problems.push(`${name}: tab missing (created on first use)`);
+      return;
+    }
+    if (result.missing.length > 0) problems.push(`${name}: missing ${result.missing.join(', ')}`);
+    if (result.extra.length > 0) problems.push(`${name}: extra ${result.extra.join(', ')}`);
+    if (result.misordered.length > 0) problems.push(`${name}: out of order ${result.misordered.join(', ')}`);
+  });
+  const stored = getStoredSchemaVersion();
+  if (stored < SCHEMA_VERSION) problems.unshift(`Schema version ${stored} is behind ${SCHEMA_VERSION}: run Migrate Sheets`);
+  problems.forEach(problem => logAction('Schema', problem));
+  logAction('Schema Check', `Version ${stored}/${SCHEMA_VERSION}, problems: ${problems.length}`);
+  SpreadsheetApp.getUi().alert(problems.length > 0
+    ? `Sheet check found ${problems.length} problem(s):\n\n${problems.join('\n')}`
+    : `All sheets match schema version ${SCHEMA_VERSION}.`);
+}
+
+/**
+ * Runs pending migrations under the script lock, backing up the tabs they change first,
+ * then adds any missing columns to every tab and stores the new schema version.
+ * @returns {number} Number of migrations run.
+ */
+function migrateSchemas() {
+  requireAdmin_();
+  return withScriptLock(() => {
+    const props = PropertiesService.getScriptProperties();
+    const from = getStoredSchemaVersion();
+    const pending = SCHEMA_MIGRATIONS.filter(migration => migration.version > from);
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const stamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HHmm');
+    [...new Set(pending.reduce((all, migration) => all.concat(migration.sheets), []))].forEach(name => {
+      const sheet = ss.getSheetByName(name);
+      if (sheet) sheet.copyTo(ss).setName(`${name} backup v${from} ${stamp}`);
+    });
+    pending.forEach(migration => {
+      migration.migrate();
+      flushTables();
+      props.setProperty('SCHEMA_VERSION', String(migration.version));
+      logAction('Schema Migration', `v${migration.version}: ${migration.description}`);
+    });
+    Object.keys(SHEET_SCHEMAS).forEach(name => ensureHeaders(SHEET_SCHEMAS[name].getSheet(), SHEET_SCHEMAS[name].headers));
+    props.setProperty('SCHEMA_VERSION', String(SCHEMA_VERSION));
+    logAction('Schema Migration', `Sheets at version ${SCHEMA_VERSION} (from ${from}, ${pending.length} migration(s))`);
+    return pending.length;
+  });
+}
+
+/**
+ * Menu wrapper for migrateSchemas.
+ */
+function runMigrateSchemas() {
+  setAuditContext('Menu: Migrate Sheets');
+  requireAdmin_();
+  if (isDryRun()) {
+    SpreadsheetApp.getUi().alert('Turn dry run off before migrating, so the live tabs are migrated.');
+    return;
+  }
+  const count = migrateSchemas();
+  SpreadsheetApp.getUi().alert(`Sheets migrated to schema version ${SCHEMA_VERSION} (${count} migration(s) run).`);
+}
+
+// --- ADMIN SETTINGS ---
+
+/**
+ * Settings the admin can change from the Settings tab or the Settings dialog, in display order.
+ * Types: integer, number, choice (one of options), text, and html (inserted into emails as-is).
+ * Optional settings may be left blank.
+ */
+const SETTING_DEFINITIONS = {
+  REMINDER_DAYS: {
+    label: 'Response window (days)', type: 'integer', min: 1, max: 60, default: DEFAULT_REMINDER_DAYS,
+    description: 'Days guarantors and the Finance Officer have to act before an application expires.'
+  },
+  REMINDER_HOUR: {
+    label: 'Daily jobs hour (0-23)', type: 'integer', min: 0, max: 23, default: DEFAULT_REMINDER_HOUR,
+    description: 'Hour the daily reminders and overdue repayment checks run.'
+  },
+  ESCALATION_DAYS: {
+    label: 'Escalate before expiry (days)', type: 'integer', min: 0, max: 60, default: DEFAULT_ESCALATION_DAYS,
+    description: 'Days before expiry the admins and the applicant are told who has not acted (0 = never).'
+  },
+  PENDING_REMINDER_DAYS: {
+    label: 'Unassigned/unsubmitted reminder interval (days)', type: 'integer', min: 1, max: 60, default: DEFAULT_PENDING_REMINDER_DAYS,
+    description: 'Days between reminders for groups still in PendingFinanceOfficer.'
+  },
+  ADMIN_EMAILS: {
+    label: 'Admin emails', type: 'text', maxLength: 500, default: '', optional: true,
+    description: 'Comma-separated addresses that receive escalations and assignment reminders (blank = script owner).'
+  },
+  SENDER_NAME: {
+    label: 'Sender name', type: 'text', maxLength: 100, default: DEFAULT_SENDER_NAME,
+    description: 'Name emails are sent from and signed with.'
+  },
+  EMAIL_FOOTER: {
+    label: 'Email footer', type: 'html', maxLength: 2000, default: DEFAULT_EMAIL_FOOTER,
+    description: 'Small print at the bottom of every email. HTML tags such as <br> and <strong> are allowed.'
+  },
+  OUTBOX_BATCH_SIZE: {
+    label: 'Emails per outbox run', type: 'integer', min: 1, max: 1500, default: DEFAULT_OUTBOX_BATCH_SIZE,
+    description: 'Most emails one outbox run sends; the rest wait for the next run.'
+  },
+  OUTBOX_MAX_ATTEMPTS: {
+    label: 'Email send attempts', type: 'integer', min: 1, max: 20, default: DEFAULT_OUTBOX_MAX_ATTEMPTS,
+    description: 'Attempts before a failing email is marked Failed.'
+  },
+  OUTBOX_RETRY_BASE_MINUTES: {
+    label: 'Email retry delay (minutes)', type: 'integer', min: 1, max: 1440, default: DEFAULT_OUTBOX_RETRY_BASE_MINUTES,
+    description: 'Wait before the first retry; doubled after every further failure.'
+  },
+  OUTBOX_SENT_RETENTION_DAYS: {
+    label: 'Keep sent emails (days)', type: 'integer', min: 1, max: 3650, default: DEFAULT_OUTBOX_SENT_RETENTION_DAYS,
+    description: 'Days a Sent row stays in the Outbox as a delivery record before it is deleted.'
+  },
+  FINANCE_ASSIGNMENT_MODE: {
+    label: 'Finance Officer assignment', type: 'choice', options: ['LeastOpen', 'RoundRobin'], default: DEFAULT_ASSIGNMENT_MODE,
+    description: 'LeastOpen picks the officer with the fewest open groups; RoundRobin takes turns.'
+  },
+  LOAN_INTEREST_RATE: {
+    label: 'Interest rate (annual %)', type: 'number', min: 0, max: 100, default: DEFAULT_INTEREST_RATE,
+    description: 'Annual interest used for repayment schedules.'
+  },
+  LOAN_INTEREST_METHOD: {
+    label: 'Interest method', type: 'choice', options: [INTEREST_METHOD_FLAT, INTEREST_METHOD_REDUCING], default: DEFAULT_INTEREST_METHOD,
+    description: 'Flat charges interest on the full amount; Reducing on the outstanding balance.'
+  },
+  OVERDUE_NOTICE_INTERVAL_DAYS: {
+    label: 'Overdue notice interval (days)', type: 'integer', min: 1, max: 90, default: DEFAULT_OVERDUE_NOTICE_INTERVAL_DAYS,
+    description: 'Days between overdue notices to the applicant.'
+  },
+  OVERDUE_LIABILITY_DAYS: {
+    label: 'Guarantor liability after (days)', type: 'integer', min: 1, max: 365, default: DEFAULT_OVERDUE_LIABILITY_DAYS,
+    description: 'Days overdue before both guarantors are warned.'
+  },
+  MAX_ACTIVE_GUARANTEES: {
+    label: 'Active guarantees per member', type: 'integer', min: 0, max: 20, default: DEFAULT_MAX_ACTIVE_GUARANTEES,
+    description: 'Active loans a member may guarantee at once (0 = no limit).'
+  },
+  MAX_GUARANTEED_AMOUNT: {
+    label: 'Guaranteed amount per member', type: 'number', min: 0, max: 1000000000, default: DEFAULT_MAX_GUARANTEED_AMOUNT,
+    description: 'Total active loan amount a member may guarantee (0 = no limit).'
+  },
+  GUARANTOR_LIMIT_MODE: {
+    label: 'Over-limit guarantors', type: 'choice', options: [GUARANTOR_LIMIT_REJECT, GUARANTOR_LIMIT_FLAG], default: GUARANTOR_LIMIT_REJECT,
+    description: 'Reject refuses the intent; Flag accepts it and notes the refusal in GuarantorLimitNote.'
+  }
+};
+
+let settingsCache = null;
+
+/**
+ * Gets or creates Settings sheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} Settings sheet.
+ */
+function getSettingsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SETTINGS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(SETTINGS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, 3).setValues([SHEET_SCHEMAS[SETTINGS_SHEET_NAME].headers]);
+  }
+  return sheet;
+}
+
+/**
+ * Converts and validates a raw setting value.
+ * @param {string} key Setting key from SETTING_DEFINITIONS.
+ * @param {*} raw Value from the sheet, a Script Property or the dialog.
+ * @returns {Object} { value } or { error }.
+ */
+function parseSetting(key, raw) {
+  const definition = SETTING_DEFINITIONS[key];
+  const text = String(raw === undefined || raw === null ? '' : raw).trim();
+  if (!text) return definition.optional ? { value: '' } : { error: 'is required' };
+  if (definition.type === 'integer' || definition.type === 'number') {
+    const value = Number(text);
+    if (!isFinite(value)) return { error: `'${text}' is not a number` };
+    if (definition.type === 'integer' && !Number.isInteger(value)) return { error: `'${text}' is not a whole number` };
+    if (value < definition.min || value > definition.max) return { error: `${value} is outside ${definition.min}-${definition.max}` };
+    return { value: value };
+  }
+  if (definition.type === 'choice') {
+    const value = definition.options.find(option => option.toUpperCase() === text.toUpperCase());
+    return value ? { value: value } : { error: `'${text}' is not one of ${definition.options.join(', ')}` };
+  }
+  if (text.length > definition.maxLength) return { error: `is longer than ${definition.maxLength} characters` };
+  return { value: text };
+}
+
+/**
+ * Loads the settings for this execution. Each comes from the Settings tab, else the Script Property
+ * of the same name (where older installs kept them), else the built-in default; invalid values are
+ * logged and replaced by the default. Settings missing from the tab are appended so admins can edit them.
+ * @returns {Object} Typed setting values keyed by SETTING_DEFINITIONS key.
+ */
+function getSettings() {
+  if (settingsCache) return settingsCache;
+  const sheet = getSettingsSheet();
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const cols = { key: headers.indexOf('Key'), value: headers.indexOf('Value') };
+  const stored = {};
+  data.slice(1).forEach(row => {
+    const key = String(row[cols.key] || '').trim();
+    if (key) stored[key] = row[cols.value];
+  });
+  const props = PropertiesService.getScriptProperties();
+  const settings = {};
+  const missing = [];
+  Object.keys(SETTING_DEFINITIONS).forEach(key => {
+    const definition = SETTING_DEFINITIONS[key];
+    let raw = stored[key];
+    if (!stored.hasOwnProperty(key)) {
+      raw = props.getProperty(key);
+      missing.push([key, raw === null ? definition.default : raw, definition.description]);
+    }
+    settings[key] = definition.default;
+    if (raw === null || String(raw).trim() === '') return;
+    const parsed = parseSetting(key, raw);
+    if (parsed.error) {
+      logAction('Error', `Setting ${key} ${parsed.error}; using default ${definition.default}`);
+    } else {
+      settings[key] = parsed.value;
+    }
+  });
+  if (missing.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, missing.length, 3).setValues(missing);
+  }
+  settingsCache = settings;
+  return settings;
+}
+
+/**
+ * Gets one setting.
+ * @param {string} key Setting key from SETTING_DEFINITIONS.
+ * @returns {*} Typed value.
+ */
+function getSetting(key) {
+  return getSettings()[key];
+}
+
+/**
+ * Builds one field of the settings dialog.
+ * @param {string} key Setting key.
+ * @param {*} value Current value.
+ * @returns {string} HTML.
+ */
+function buildSettingFieldHtml(key, value) {
+  const definition = SETTING_DEFINITIONS[key];
+  let input;
+  if (definition.type === 'choice') {
+    const options = definition.options
+      .map(option => `<option${option === value ? ' selected' : ''}>${escapeHtml(option)}</option>`).join('');
+    input = `<select name="${key}">${options}</select>`;
+  } else if (definition.type === 'html') {
+    input = `<textarea name="${key}" rows="3" style="width:100%;">${escapeHtml(value)}</textarea>`;
+  } else if (definition.type === 'text') {
+    input = `<input name="${key}" value="${escapeHtml(value)}" style="width:100%;">`;
+  } else {
+    const step = definition.type === 'integer' ? '1' : 'any';
+    input = `<input name="${key}" type="number" min="${definition.min}" max="${definition.max}" step="${step}" value="${escapeHtml(value)}">`;
+  }
+  return `<p><label><strong>${escapeHtml(definition.label)}</strong><br>${input}</label><br>` +
+    `<small style="color:#555;">${escapeHtml(definition.description)}</small></p>`;
+}
+
+/**
+ * Opens the settings dialog from the menu.
+ */
+function openSettingsDialog() {
+  const settings = getSettings();
+  const fields = Object.keys(SETTING_DEFINITIONS).map(key => buildSettingFieldHtml(key, settings[key])).join('');
+  const script = `<script>
+    function save(form) {
+      var values = {};
+      Array.prototype.forEach.call(form.elements, function (element) {
+        if (element.name) values[element.name] = element.value;
+      });
+      var status = document.getElementById('status');
+      status.textContent = 'Saving...';
+      google.script.run
+        .withSuccessHandler(function (errors) {
+          if (errors.length === 0) return google.script.host.close();
+          status.textContent = errors.join(' | ');
+        })
+        .withFailureHandler(function (error) { status.textContent = error.message; })
+        .saveSettings(values);
+      return false;
+    }
+  </script>`;
+  const html = HtmlService.createHtmlOutput(
+    `<div style="font-family:Arial,sans-serif;font-size:13px;"><form onsubmit="return save(this)">${fields}` +
+    `<p><button type="submit">Save</button> <span id="status" style="color:#b00;"></span></p></form></div>${script}`
+  ).setWidth(480).setHeight(600);
+  SpreadsheetApp.getUi().showModalDialog(html, 'CSULMCS Loan System Settings');
+}
+
+/**
+ * Validates and stores the values submitted from the settings dialog, logging each change.
+ * Only admins may save; nothing is saved if any value is invalid. Moves the daily triggers when their hour changes.
+ * @param {Object} values Raw values keyed by setting.
+ * @returns {string[]} Validation errors; empty if the settings were saved.
+ */
+function saveSettings(values) {
+  setAuditContext('Dialog: Settings');
+  requireAdmin_();
+  const parsed = {};
+  const errors = [];
+  Object.keys(SETTING_DEFINITIONS).forEach(key => {
+    const result = parseSetting(key, values[key]);
+    if (result.error) {
+      errors.push(`${SETTING_DEFINITIONS[key].label} ${result.error}`);
+    } else {
+      parsed[key] = result.value;
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  const changed = [];
+  withScriptLock(() => {
+    const sheet = getSettingsSheet();
+    const data = sheet.getDataRange().getValues();
+    const cols = { key: data[0].indexOf('Key') + 1, value: data[0].indexOf('Value') + 1 };
+    Object.keys(parsed).forEach(key => {
+      const row = data.findIndex((entry, i) => i > 0 && String(entry[cols.key - 1]).trim() === key);
+      const before = row > 0 ? data[row][cols.value - 1] : '';
+      if (String(before) === String(parsed[key])) return;
+      if (row > 0) {
+        sheet.getRange(row + 1, cols.value).setValue(parsed[key]);
+      } else {
+        sheet.appendRow([key, parsed[key], SETTING_DEFINITIONS[key].description]);
+      }
+      changed.push(key);
+      logAction('Settings', `${key}: ${before} -> ${parsed[key]}`);
+    });
+  });
+  settingsCache = null;
+  if (changed.includes('REMINDER_HOUR')) rescheduleDailyTriggers();
+  return [];
+}
 
 // --- HELPERS ---
 
+let headerCache = {};
+
 /**
- * Gets column index by header in a sheet.
+ * Gets column index by header in a sheet. Header rows are cached for the execution and
+ * re-read once before a missing header is reported.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to search.
  * @param {string} header Column header.
  * @returns {number} 1-based column index.
  */
 function getColumnIndex(sheet, header) {
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const index = headers.indexOf(header);
+  const name = sheet.getName();
+  let index = (headerCache[name] || []).indexOf(header);
+  if (index === -1) {
+    headerCache[name] = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    index = headerCache[name].indexOf(header);
+  }
   if (index === -1) throw new Error(`Header '${header}' not found in ${sheet.getName()}`);
   return index + 1;
 }
 
+let dryRunCache = null;
+
+/**
+ * Checks whether dry-run mode is on (the DRY_RUN Script Property, or a sandbox replay in progress).
+ * @returns {boolean} True if notifications are previewed and state tabs are sandboxed.
+ */
+function isDryRun() {
+  if (dryRunCache === null) dryRunCache = PropertiesService.getScriptProperties().getProperty('DRY_RUN') === 'TRUE';
+  return dryRunCache;
+}
+
+/**
+ * Gets the name of the tab a state sheet is read from and written to.
+ * @param {string} name Live sheet name.
+ * @returns {string} The sandbox name (e.g., "Control (Dry Run)") in dry-run mode for DRY_RUN_SHEETS, else the name.
+ */
+function getStateSheetName(name) {
+  return isDryRun() && DRY_RUN_SHEETS.includes(name) ? name + DRY_RUN_SUFFIX : name;
+}
+
+/**
+ * Gets a state sheet, or in dry-run mode its sandbox copy, which is copied from the live tab on first use.
+ * @param {string} name Live sheet name.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} Sheet, or null if neither it nor the live tab exists.
+ */
+function getStateSheet(name) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = getStateSheetName(name);
+  let sheet = ss.getSheetByName(sheetName);
+  if (!sheet && sheetName !== name) {
+    const live = ss.getSheetByName(name);
+    if (live) sheet = live.copyTo(ss).setName(sheetName);
+  }
+  return sheet;
+}
+
 /**
- * Gets Control sheet, creating it if needed.
+ * Gets Control sheet (its sandbox copy in dry-run mode), creating it if needed.
  * @returns {GoogleAppsScript.Spreadsheet.Sheet} Control sheet.
  */
 function getControlSheet() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  let sheet = ss.getSheetByName(CONTROL_SHEET_NAME);
+  let sheet = getStateSheet(CONTROL_SHEET_NAME);
   if (!sheet) {
-    sheet = ss.insertSheet(CONTROL_SHEET_NAME);
-    sheet.getRange(1, 1, 1, 41).setValues([[
-      'GroupID', 'CooperatorID', 'Name', 'Email', 'Phone', 'HomeAddress', 'LoanAmountFigures',
-      'LoanAmountWords', 'RepaymentPeriod', 'Guarantor1Name', 'Guarantor1ID', 'Guarantor1Email', 'Guarantor1Phone',
-      'Guarantor2Name', 'Guarantor2ID', 'Guarantor2Email', 'Guarantor2Phone', 'ApproverName', 'ApproverID',
-      'ApproverEmail', 'ApproverPhone', 'Status', 'ApplicantLink', 'FinanceLink', 'ApplicationStatus', 'Locked',
-      'Timestamp', 'Comments', 'BankName', 'AccountName', 'AccountNumber', 'ApplicantBalance', 'ApplicantRating',
-      'Guarantor1Balance', 'Guarantor1Rating', 'Guarantor2Balance', 'Guarantor2Rating', 'FinanceOfficerName',
-      'FinanceOfficerID', 'FinanceOfficerEmail', 'FinanceOfficerPhone', 'Notified'
-    ]]);
+    sheet = ss.insertSheet(getStateSheetName(CONTROL_SHEET_NAME));
+    sheet.getRange(1, 1, 1, CONTROL_HEADERS.length).setValues([CONTROL_HEADERS]);
   }
   return sheet;
 }
 
 /**
- * Gets or creates Archive sheet.
+ * Gets or creates Archive sheet (its sandbox copy in dry-run mode).
  * @returns {GoogleAppsScript.Spreadsheet.Sheet} Archive sheet.
  */
 function getArchiveSheet() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  let sheet = ss.getSheetByName(ARCHIVE_SHEET_NAME);
+  let sheet = getStateSheet(ARCHIVE_SHEET_NAME);
   if (!sheet) {
-    sheet = ss.insertSheet(ARCHIVE_SHEET_NAME);
-    sheet.getRange(1, 1, 1, 41).setValues([getControlSheet().getRange(1, 1, 1, 41).getValues()[0]]);
+    sheet = ss.insertSheet(getStateSheetName(ARCHIVE_SHEET_NAME));
+    sheet.getRange(1, 1, 1, CONTROL_HEADERS.length).setValues([CONTROL_HEADERS]);
   }
   return sheet;
 }
@@ -93,8 +725,8 @@ function getFinanceOfficersSheet() {
   let sheet = ss.getSheetByName(FINANCE_OFFICERS_SHEET_NAME);
   if (!sheet) {
     sheet = ss.insertSheet(FINANCE_OFFICERS_SHEET_NAME);
-    sheet.getRange(1, 1, 1, 4).setValues([['Name', 'ID', 'Email', 'Phone']]);
   }
+  ensureHeaders(sheet, SHEET_SCHEMAS[FINANCE_OFFICERS_SHEET_NAME].headers);
   return sheet;
 }
 
@@ -107,32 +739,455 @@ function getLogsSheet() {
   let sheet = ss.getSheetByName(LOGS_SHEET_NAME);
   if (!sheet) {
     sheet = ss.insertSheet(LOGS_SHEET_NAME);
-    sheet.getRange(1, 1, 1, 3).setValues([['Timestamp', 'Action', 'Details']]);
+    sheet.getRange(1, 1, 1, SHEET_SCHEMAS[LOGS_SHEET_NAME].headers.length).setValues([SHEET_SCHEMAS[LOGS_SHEET_NAME].headers]);
   }
   return sheet;
 }
 
 /**
- * Logs an action to Logs sheet.
+ * Gets or creates Repayments sheet (its sandbox copy in dry-run mode).
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} Repayments sheet.
+ */
+function getRepaymentsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = getStateSheet(REPAYMENTS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(getStateSheetName(REPAYMENTS_SHEET_NAME));
+  }
+  ensureHeaders(sheet, SHEET_SCHEMAS[REPAYMENTS_SHEET_NAME].headers);
+  return sheet;
+}
+
+/**
+ * Gets or creates Payments sheet (the repayment ledger; its sandbox copy in dry-run mode).
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} Payments sheet.
+ */
+function getPaymentsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = getStateSheet(PAYMENTS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(getStateSheetName(PAYMENTS_SHEET_NAME));
+    sheet.getRange(1, 1, 1, 6).setValues([SHEET_SCHEMAS[PAYMENTS_SHEET_NAME].headers]);
+  }
+  return sheet;
+}
+
+/**
+ * Gets or creates PaymentImport sheet, where admins paste payments for bulk posting.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} PaymentImport sheet.
+ */
+function getPaymentImportSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PAYMENT_IMPORT_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PAYMENT_IMPORT_SHEET_NAME);
+    sheet.getRange(1, 1, 1, 5).setValues([SHEET_SCHEMAS[PAYMENT_IMPORT_SHEET_NAME].headers]);
+  }
+  return sheet;
+}
+
+/**
+ * Appends any missing headers to the end of a sheet's header row.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to update.
+ * @param {string[]} headers Headers the sheet must have.
+ */
+function ensureHeaders(sheet, headers) {
+  const lastColumn = sheet.getLastColumn();
+  const existing = lastColumn ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  const missing = headers.filter(header => !existing.includes(header));
+  if (missing.length === 0) return;
+  sheet.getRange(1, lastColumn + 1, 1, missing.length).setValues([missing]);
+  delete headerCache[sheet.getName()];
+  const table = tableCache[sheet.getName()];
+  if (table) missing.forEach((header, i) => table.headers[lastColumn + i] = header);
+}
+
+/**
+ * Adds columns to both Control and Archive so archived rows keep their headers.
+ * @param {string[]} headers Headers to add if missing.
+ */
+function ensureControlHeaders(headers) {
+  ensureHeaders(getControlSheet(), headers);
+  ensureHeaders(getArchiveSheet(), headers);
+}
+
+/**
+ * Sheets served by getTable, with the column each is indexed by (a header, or a 1-based
+ * column number for Intent, whose headers come from the form). Control writes are audited.
+ */
+const TABLE_DEFINITIONS = {
+  [CONTROL_SHEET_NAME]: { key: 'GroupID', getSheet: () => getControlSheet(), onChange: logControlChange },
+  [ARCHIVE_SHEET_NAME]: { key: 'GroupID', getSheet: () => getArchiveSheet(), onChange: logArchiveChange },
+  [LOAN_INTENT_SHEET_NAME]: { key: 2, getSheet: () => getStateSheet(LOAN_INTENT_SHEET_NAME) },
+  [FINANCE_OFFICERS_SHEET_NAME]: { key: 'ID', getSheet: () => getFinanceOfficersSheet() },
+  [MEMBERS_SHEET_NAME]: { key: 'ID', getSheet: () => getMembersSheet() },
+  [FLAGS_SHEET_NAME]: { key: 'FlagID', getSheet: () => getFlagsSheet() },
+  [REPAYMENTS_SHEET_NAME]: { key: 'GroupID', getSheet: () => getRepaymentsSheet() },
+  [PAYMENTS_SHEET_NAME]: { key: 'GroupID', getSheet: () => getPaymentsSheet() }
+};
+
+let tableCache = {};
+
+/**
+ * Gets a sheet's table, loading it on first use in this execution.
+ * @param {string} name One of the TABLE_DEFINITIONS sheet names.
+ * @returns {Object|null} Table from createTable, or null if the sheet does not exist.
+ */
+function getTable(name) {
+  if (!tableCache.hasOwnProperty(name)) {
+    const sheet = TABLE_DEFINITIONS[name].getSheet();
+    tableCache[name] = sheet ? createTable(sheet, TABLE_DEFINITIONS[name].key, TABLE_DEFINITIONS[name].onChange) : null;
+  }
+  return tableCache[name];
+}
+
+/**
+ * Writes pending changes of every loaded table.
+ */
+function flushTables() {
+  Object.keys(tableCache).forEach(name => {
+    if (tableCache[name]) tableCache[name].flush();
+  });
+}
+
+/**
+ * Writes a loaded table's pending changes and drops it, so its sheet is read again on next use.
+ * @param {string} name One of the TABLE_DEFINITIONS sheet names.
+ */
+function reloadTable(name) {
+  if (tableCache[name]) tableCache[name].flush();
+  delete tableCache[name];
+  delete headerCache[name];
+}
+
+/**
+ * Reads a sheet once and serves its rows from memory. Rows are the sheet's value arrays;
+ * changes made while the script lock is held are written back in batches when the lock is
+ * released, and straight away otherwise.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to load.
+ * @param {string|number} key Header (or 1-based column) rows are indexed by.
+ * @param {Function} [onChange] Called as (type, keyValue, header, before, after) for each
+ *     changed cell ('update'), added row ('add') and removed row ('remove').
+ * @returns {Object} Table with headers, rows, col, find, findAll, record, records, set, update, append, remove and flush.
+ */
+function createTable(sheet, key, onChange) {
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0];
+  const rows = values.slice(1);
+  const positions = new Map(rows.map((row, i) => [row, i + 2]));
+  const dirty = new Map();
+  let index = null;
+
+  const col = header => {
+    const i = typeof header === 'number' ? header - 1 : headers.indexOf(header);
+    if (i < 0) throw new Error(`Header '${header}' not found in ${sheet.getName()}`);
+    return i + 1;
+  };
+  const keyColumn = () => typeof key === 'number' ? key : headers.indexOf(key) + 1;
+  const getIndex = () => {
+    if (!index) {
+      index = new Map();
+      const column = keyColumn();
+      rows.forEach(row => {
+        const value = row[column - 1];
+        if (!index.has(value)) index.set(value, []);
+        index.get(value).push(row);
+      });
+    }
+    return index;
+  };
+
+  const table = {
+    sheet: sheet,
+    headers: headers,
+    rows: rows,
+    col: col,
+    find: value => (getIndex().get(value) || [])[0] || null,
+    findAll: value => (getIndex().get(value) || []).slice(),
+    record: row => {
+      const record = {};
+      headers.forEach((header, i) => {
+        if (header) record[header] = row[i] === undefined ? '' : row[i];
+      });
+      return record;
+    },
+    records: () => rows.map(row => table.record(row)),
+
+    /**
+     * Sets one cell of a row.
+     * @param {Array} row Row from this table.
+     * @param {string|number} header Header or 1-based column.
+     * @param {*} value New value.
+     */
+    set: (row, header, value) => {
+      const column = col(header);
+      while (row.length < column) row.push('');
+      if (onChange) onChange('update', row[keyColumn() - 1], headers[column - 1] || column, row[column - 1], value);
+      row[column - 1] = value;
+      if (column === keyColumn()) index = null;
+      if (!dirty.has(row)) dirty.set(row, new Set());
+      dirty.get(row).add(column);
+      if (scriptLockDepth === 0 || tableCache[sheet.getName()] !== table) table.flush();
+    },
+    update: (row, changes) => Object.keys(changes).forEach(header => table.set(row, header, changes[header])),
+
+    /**
+     * Adds a row at the bottom of the sheet.
+     * @param {Array|Object} row Row values, or values keyed by header.
+     * @returns {Array} The added row.
+     */
+    append: row => {
+      const added = Array.isArray(row) ? row.slice() : headers.map(header => header && row.hasOwnProperty(header) ? row[header] : '');
+      while (added.length < headers.length) added.push('');
+      rows.push(added);
+      positions.set(added, rows.length + 1);
+      index = null;
+      dirty.set(added, new Set(added.map((value, i) => i + 1)));
+      if (onChange) onChange('add', added[keyColumn() - 1]);
+      if (scriptLockDepth === 0 || tableCache[sheet.getName()] !== table) table.flush();
+      return added;
+    },
+
+    /**
+     * Deletes a row from the sheet, writing pending changes first.
+     * @param {Array} row Row from this table.
+     */
+    remove: row => {
+      const position = positions.get(row);
+      if (!position) return;
+      table.flush();
+      if (onChange) onChange('remove', row[keyColumn() - 1]);
+      sheet.deleteRow(position);
+      rows.splice(position - 2, 1);
+      positions.delete(row);
+      rows.slice(position - 2).forEach((other, i) => positions.set(other, position + i));
+      index = null;
+    },
+
+    /**
+     * Writes changed rows, one setValues call per run of adjacent rows.
+     */
+    flush: () => {
+      if (dirty.size === 0) return;
+      const changed = [...dirty.keys()].sort((a, b) => positions.get(a) - positions.get(b));
+      const lastPosition = positions.get(changed[changed.length - 1]);
+      if (lastPosition > sheet.getMaxRows()) sheet.insertRowsAfter(sheet.getMaxRows(), lastPosition - sheet.getMaxRows());
+      let run = [];
+      const writeRun = () => {
+        const columns = run.reduce((all, row) => all.concat([...dirty.get(row)]), []);
+        const first = Math.min(...columns);
+        const last = Math.max(...columns);
+        sheet.getRange(positions.get(run[0]), first, run.length, last - first + 1).setValues(run.map(row => {
+          const slice = row.slice(first - 1, last);
+          while (slice.length < last - first + 1) slice.push('');
+          return slice;
+        }));
+      };
+      changed.forEach(row => {
+        if (run.length > 0 && positions.get(row) !== positions.get(run[run.length - 1]) + 1) {
+          writeRun();
+          run = [];
+        }
+        run.push(row);
+      });
+      writeRun();
+      dirty.clear();
+    }
+  };
+  return table;
+}
+
+const UNVERIFIED_ACTOR_SUFFIX = ' (unverified)';
+
+let logBuffer = [];
+let logHeadersChecked = false;
+let auditContext = { source: 'Script', actor: null };
+
+/**
+ * Records who and what started this execution, for the Actor and Source of its log entries.
+ * @param {string} source Entry point (e.g., Form: Intent, Trigger: sendDailyReminders, Menu: Reset Application).
+ * @param {string} [actor] Email of the person acting; defaults to the signed-in user.
+ */
+function setAuditContext(source, actor) {
+  auditContext = { source: source, actor: actor || null };
+}
+
+/**
+ * Gets the Actor for log entries: the context's actor, else the signed-in user, else System.
+ * @returns {string} Actor.
+ */
+function getAuditActor() {
+  if (!auditContext.actor) auditContext.actor = Session.getActiveUser().getEmail() || 'System';
+  return auditContext.actor;
+}
+
+/**
+ * Labels the email typed into a form as the Actor. Forms do not verify it, so it is marked as such.
+ * @param {string} email Email from the submission.
+ * @returns {string} Actor (e.g., "a@x.org (unverified)"), or blank if no email was given.
+ */
+function getFormActor(email) {
+  const address = String(email || '').trim();
+  return address ? address + UNVERIFIED_ACTOR_SUFFIX : '';
+}
+
+/**
+ * Formats a cell value for the Before and After columns.
+ * @param {*} value Cell value.
+ * @returns {string} Text.
+ */
+function formatAuditValue(value) {
+  if (value instanceof Date) return Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Queues a Logs row; rows are written straight away, or when the script lock is released.
+ * In dry-run mode the Source is prefixed with "Dry Run: " so sandbox activity can be told apart.
  * @param {string} action Action performed.
  * @param {string} details Details of the action.
+ * @param {string} groupID Group the entry is about, if any.
+ * @param {string} [field] Control column changed.
+ * @param {*} [before] Value before the change.
+ * @param {*} [after] Value after the change.
+ */
+function writeLogEntry(action, details, groupID, field, before, after) {
+  logBuffer.push([
+    new Date(), action, details, getAuditActor(), isDryRun() ? `Dry Run: ${auditContext.source}` : auditContext.source, groupID || '',
+    field || '', field ? formatAuditValue(before) : '', field ? formatAuditValue(after) : ''
+  ]);
+  if (scriptLockDepth === 0) flushLogs();
+}
+
+/**
+ * Writes queued Logs rows. Each row is added with appendRow, which the spreadsheet applies as one
+ * operation, so runs holding the script lock, the document lock or no lock never overwrite each other's rows.
  */
-function logAction(action, details) {
+function flushLogs() {
+  if (logBuffer.length === 0) return;
+  const rows = logBuffer;
+  logBuffer = [];
   const sheet = getLogsSheet();
-  sheet.appendRow([new Date(), action, details]);
+  if (!logHeadersChecked) {
+    ensureHeaders(sheet, SHEET_SCHEMAS[LOGS_SHEET_NAME].headers);
+    logHeadersChecked = true;
+  }
+  rows.forEach(row => sheet.appendRow(row));
+}
+
+/**
+ * Logs an action to Logs sheet.
+ * @param {string} action Action performed.
+ * @param {string} details Details of the action.
+ * @param {string} [groupID] Group the action is about; read from "GroupID: X" in the details if omitted.
+ */
+function logAction(action, details, groupID) {
+  const match = /GroupID[:=]\s*([A-Za-z0-9-]+)/.exec(String(details));
+  writeLogEntry(action, details, groupID || (match ? match[1] : ''));
+}
+
+/**
+ * Logs a Control write: one entry per changed field, and one per added or removed row.
+ * @param {string} type update, add or remove.
+ * @param {string} groupID Row's GroupID.
+ * @param {string} field Header of the changed column.
+ * @param {*} before Value before the change.
+ * @param {*} after Value after the change.
+ */
+function logControlChange(type, groupID, field, before, after) {
+  if (type === 'add') {
+    writeLogEntry('Control Add', `Added row for GroupID: ${groupID}`, groupID);
+  } else if (type === 'remove') {
+    writeLogEntry('Control Remove', `Removed row for GroupID: ${groupID}`, groupID);
+  } else if (formatAuditValue(before) !== formatAuditValue(after)) {
+    writeLogEntry('Control Update', `${field} changed`, groupID, field, before, after);
+  }
+}
+
+/**
+ * Logs an Archive write: one entry per archived or reopened row, and one per changed field.
+ * @param {string} type update, add or remove.
+ * @param {string} groupID Row's GroupID.
+ * @param {string} field Header of the changed column.
+ * @param {*} before Value before the change.
+ * @param {*} after Value after the change.
+ */
+function logArchiveChange(type, groupID, field, before, after) {
+  if (type === 'add') {
+    writeLogEntry('Archive Add', `Added row for GroupID: ${groupID}`, groupID);
+  } else if (type === 'remove') {
+    writeLogEntry('Archive Remove', `Removed row for GroupID: ${groupID}`, groupID);
+  } else if (formatAuditValue(before) !== formatAuditValue(after)) {
+    writeLogEntry('Archive Update', `${field} changed`, groupID, field, before, after);
+  }
+}
+
+let scriptLockDepth = 0;
+
+/**
+ * Runs a function while holding the script lock, so concurrent triggers cannot interleave
+ * reads and writes of the same rows. Nested calls reuse the lock this execution already holds.
+ * Tables are reloaded once the lock is taken and their changes are written before it is released.
+ * @param {Function} fn Function to run.
+ * @returns {*} The function's return value.
+ */
+function withScriptLock(fn) {
+  if (scriptLockDepth > 0) return fn();
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(SCRIPT_LOCK_TIMEOUT_MS);
+  } catch (e) {
+    logAction('Error', `Could not obtain script lock: ${e.message}`);
+    throw e;
+  }
+  tableCache = {};
+  headerCache = {};
+  scriptLockDepth++;
+  try {
+    return fn();
+  } finally {
+    try {
+      flushTables();
+    } finally {
+      scriptLockDepth--;
+      try {
+        flushLogs();
+      } finally {
+        lock.releaseLock();
+      }
+    }
+  }
+}
+
+/**
+ * Gets the highest GroupID number used in Control, Archive or Intent.
+ * @returns {number} Highest number (e.g., 12 for LC0012), or 0 if none.
+ */
+function getHighestGroupNumber() {
+  const ids = [];
+  [CONTROL_SHEET_NAME, ARCHIVE_SHEET_NAME, LOAN_INTENT_SHEET_NAME].forEach(name => {
+    const table = getTable(name);
+    if (table) table.rows.forEach(row => ids.push(row[table.col(TABLE_DEFINITIONS[name].key) - 1]));
+  });
+  return ids.reduce((max, id) => {
+    const match = /^LC(\d+)$/.exec(String(id));
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
 }
 
 /**
- * Generates a unique GroupID (e.g., LC0001).
+ * Allocates the next GroupID (e.g., LC0001) from the GROUP_ID_COUNTER script property.
+ * Never goes below the highest ID already in the sheets, so archived IDs are not reused.
+ * In dry-run mode the counter is left alone, so sandbox groups do not use up live IDs.
  * @returns {string} GroupID.
  */
 function generateGroupID() {
-  const sheet = getControlSheet();
-  const lastRow = sheet.getLastRow();
-  if (lastRow < 2) return 'LC0001';
-  const lastID = sheet.getRange(lastRow, 1).getValue();
-  const num = parseInt(lastID.replace('LC', ''), 10);
-  return 'LC' + (num + 1).toString().padStart(4, '0');
+  return withScriptLock(() => {
+    const props = PropertiesService.getScriptProperties();
+    const counter = Math.max(parseInt(props.getProperty('GROUP_ID_COUNTER'), 10) || 0, getHighestGroupNumber()) + 1;
+    if (!isDryRun()) props.setProperty('GROUP_ID_COUNTER', String(counter));
+    return 'LC' + counter.toString().padStart(4, '0');
+  });
 }
 
 /**
@@ -188,6 +1243,20 @@ function generatePrefilledLink(groupID, role, email) {
   }
 }
 
+/**
+ * Escapes text for safe inclusion in HTML.
+ * @param {*} value Value to escape.
+ * @returns {string} Escaped text.
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Builds an HTML table from an object.
  * @param {Object} dataObj Key-value pairs for table.
@@ -197,34 +1266,63 @@ function buildHtmlTableFromObject(dataObj) {
   let rows = '';
   for (const key in dataObj) {
     if (dataObj.hasOwnProperty(key)) {
-      rows += `<tr><td style="border:1px solid #ddd;padding:8px;font-family:Arial,sans-serif;"><strong>${key}</strong></td><td style="border:1px solid #ddd;padding:8px;font-family:Arial,sans-serif;">${dataObj[key] || ''}</td></tr>`;
+      rows += `<tr><td style="border:1px solid #ddd;padding:8px;font-family:Arial,sans-serif;"><strong>${escapeHtml(key)}</strong></td><td style="border:1px solid #ddd;padding:8px;font-family:Arial,sans-serif;">${escapeHtml(dataObj[key] || '')}</td></tr>`;
     }
   }
   return `<table style="border-collapse:collapse;border:2px solid #ddd;font-family:Arial,sans-serif;">${rows}</table>`;
 }
 
 /**
- * Sends an email with HTML content.
+ * Builds an HTML table with a header row from row arrays.
+ * @param {string[]} headers Column headers.
+ * @param {Array[]} rows Table rows.
+ * @returns {string} HTML table string.
+ */
+function buildHtmlTableFromRows(headers, rows) {
+  const cell = 'border:1px solid #ddd;padding:8px;font-family:Arial,sans-serif;';
+  const head = `<tr>${headers.map(header => `<th style="${cell}">${escapeHtml(header)}</th>`).join('')}</tr>`;
+  const body = rows.map(row => `<tr>${row.map(value => `<td style="${cell}">${escapeHtml(value)}</td>`).join('')}</tr>`).join('');
+  return `<table style="border-collapse:collapse;border:2px solid #ddd;font-family:Arial,sans-serif;">${head}${body}</table>`;
+}
+
+/**
+ * Formats a date in the script time zone.
+ * @param {Date} date Date to format.
+ * @returns {string} Date as yyyy-MM-dd.
+ */
+function formatDate(date) {
+  return Utilities.formatDate(new Date(date), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Queues an email with HTML content in the Outbox; processOutbox delivers it.
  * @param {string} to Recipient email.
  * @param {string} subject Email subject.
  * @param {string} bodyHtml HTML email body.
+ * @param {string[]} [attachmentIds] Drive file IDs to attach.
+ * @returns {boolean} False if the address is invalid and nothing was queued.
  */
-function sendEmail(to, subject, bodyHtml) {
+function sendEmail(to, subject, bodyHtml, attachmentIds) {
   if (!to || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
     logAction('Error', `Invalid email address: ${to}`);
-    return;
+    return false;
   }
-  try {
-    MailApp.sendEmail({
-      to: to,
-      subject: subject,
-      htmlBody: bodyHtml + EMAIL_REGARDS + EMAIL_FOOTER,
-      name: SENDER_NAME
-    });
-    logAction('Email Sent', `To: ${to}, Subject: ${subject}`);
-  } catch (e) {
-    logAction('Error', `Failed to send email to ${to}: ${e.message}`);
+  queueEmail(to, subject, bodyHtml, attachmentIds || []);
+  return true;
+}
+
+/**
+ * Finds a group's row in Control, falling back to Archive.
+ * @param {string} groupID Group ID.
+ * @returns {Object|null} Row values keyed by header, or null if not found.
+ */
+function getGroupRecord(groupID) {
+  for (const name of [CONTROL_SHEET_NAME, ARCHIVE_SHEET_NAME]) {
+    const table = getTable(name);
+    const row = table.find(groupID);
+    if (row) return table.record(row);
   }
+  return null;
 }
 
 /**
@@ -233,16 +1331,14 @@ function sendEmail(to, subject, bodyHtml) {
  * @returns {boolean} True if assigned.
  */
 function checkFinanceOfficerExists(groupID) {
-  const sheet = getControlSheet();
-  const data = sheet.getDataRange().getValues();
+  const table = getTable(CONTROL_SHEET_NAME);
   const cols = {
-    groupID: getColumnIndex(sheet, 'GroupID'),
-    foName: getColumnIndex(sheet, 'FinanceOfficerName'),
-    foId: getColumnIndex(sheet, 'FinanceOfficerID'),
-    foEmail: getColumnIndex(sheet, 'FinanceOfficerEmail'),
-    foPhone: getColumnIndex(sheet, 'FinanceOfficerPhone')
+    foName: table.col('FinanceOfficerName'),
+    foId: table.col('FinanceOfficerID'),
+    foEmail: table.col('FinanceOfficerEmail'),
+    foPhone: table.col('FinanceOfficerPhone')
   };
-  return data.some(row => row[cols.groupID - 1] === groupID && row[cols.foName - 1] && row[cols.foId - 1] && row[cols.foEmail - 1] && row[cols.foPhone - 1]);
+  return table.findAll(groupID).some(row => row[cols.foName - 1] && row[cols.foId - 1] && row[cols.foEmail - 1] && row[cols.foPhone - 1]);
 }
 
 /**
@@ -251,16 +1347,14 @@ function checkFinanceOfficerExists(groupID) {
  * @returns {Object|null} Officer details or null.
  */
 function getFinanceOfficer(groupID) {
-  const sheet = getControlSheet();
-  const data = sheet.getDataRange().getValues();
+  const table = getTable(CONTROL_SHEET_NAME);
   const cols = {
-    groupID: getColumnIndex(sheet, 'GroupID'),
-    foName: getColumnIndex(sheet, 'FinanceOfficerName'),
-    foId: getColumnIndex(sheet, 'FinanceOfficerID'),
-    foEmail: getColumnIndex(sheet, 'FinanceOfficerEmail'),
-    foPhone: getColumnIndex(sheet, 'FinanceOfficerPhone')
+    foName: table.col('FinanceOfficerName'),
+    foId: table.col('FinanceOfficerID'),
+    foEmail: table.col('FinanceOfficerEmail'),
+    foPhone: table.col('FinanceOfficerPhone')
   };
-  const row = data.find(row => row[cols.groupID - 1] === groupID);
+  const row = table.find(groupID);
   if (!row || !row[cols.foName - 1]) return null;
   return {
     name: row[cols.foName - 1],
@@ -271,34 +1365,116 @@ function getFinanceOfficer(groupID) {
 }
 
 /**
- * Auto-assigns a Finance Officer to a group.
+ * Gets the Cooperator IDs of everyone taking part in a group (applicant and guarantors).
  * @param {string} groupID Group ID.
+ * @returns {string[]} Normalised Cooperator IDs.
  */
-function autoAssignFinanceOfficer(groupID) {
-  const foSheet = getFinanceOfficersSheet();
-  const foData = foSheet.getDataRange().getValues().slice(1).filter(row => row[0] && row[1] && row[2] && row[3]);
-  if (foData.length === 0) {
-    logAction('Error', `No Finance Officers available for GroupID: ${groupID}`);
-    return;
+function getGroupParticipantIds(groupID) {
+  const ids = [];
+  const intent = getTable(LOAN_INTENT_SHEET_NAME);
+  if (intent) intent.findAll(groupID).forEach(row => ids.push(row[2]));
+  const control = getTable(CONTROL_SHEET_NAME);
+  const row = control.find(groupID);
+  if (row) {
+    ['CooperatorID', 'Guarantor1ID', 'Guarantor2ID'].forEach(header => ids.push(row[control.col(header) - 1]));
   }
-  const randomIndex = Math.floor(Math.random() * foData.length);
-  const fo = foData[randomIndex];
-  const sheet = getControlSheet();
-  const data = sheet.getDataRange().getValues();
+  return [...new Set(ids.filter(id => id).map(id => String(id).trim().toUpperCase()))];
+}
+
+/**
+ * Counts open (not yet reviewed or expired) groups per Finance Officer ID.
+ * @returns {Object} Open group count keyed by officer ID.
+ */
+function getOpenWorkloads() {
+  const table = getTable(CONTROL_SHEET_NAME);
   const cols = {
-    groupID: getColumnIndex(sheet, 'GroupID'),
-    foName: getColumnIndex(sheet, 'FinanceOfficerName'),
-    foId: getColumnIndex(sheet, 'FinanceOfficerID'),
-    foEmail: getColumnIndex(sheet, 'FinanceOfficerEmail'),
-    foPhone: getColumnIndex(sheet, 'FinanceOfficerPhone')
+    foId: table.col('FinanceOfficerID'),
+    status: table.col('ApplicationStatus')
   };
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][cols.groupID - 1] === groupID) {
-      sheet.getRange(i + 1, cols.foName, 1, 4).setValues([[fo[0], fo[1], fo[2], fo[3]]]);
-      logAction('Auto-Assign', `GroupID: ${groupID}, Officer: ${fo[0]}`);
-      break;
+  const workloads = {};
+  table.rows.forEach(row => {
+    const id = String(row[cols.foId - 1]).trim().toUpperCase();
+    if (!id || [STATUS_FINANCE_REVIEWED, STATUS_PENDING_APPROVAL, STATUS_COMPLETED, STATUS_REJECTED, STATUS_EXPIRED].includes(row[cols.status - 1])) return;
+    workloads[id] = (workloads[id] || 0) + 1;
+  });
+  return workloads;
+}
+
+/**
+ * Reads the FinanceOfficers sheet.
+ * @returns {Object[]} Officers with complete details, in sheet order.
+ */
+function getFinanceOfficers() {
+  const table = getTable(FINANCE_OFFICERS_SHEET_NAME);
+  const col = header => table.col(header) - 1;
+  return table.rows
+    .map((row, i) => ({
+      position: i,
+      name: row[col('Name')],
+      id: row[col('ID')],
+      email: row[col('Email')],
+      phone: row[col('Phone')],
+      active: !['FALSE', 'NO'].includes(String(row[col('Active')]).trim().toUpperCase()),
+      maxOpen: parseInt(row[col('MaxOpen')], 10) || 0,
+      key: String(row[col('ID')]).trim().toUpperCase()
+    }))
+    .filter(officer => officer.name && officer.id && officer.email && officer.phone);
+}
+
+/**
+ * Finance Officer assignment strategies keyed by FINANCE_ASSIGNMENT_MODE.
+ * Each receives the eligible officers and all officers (both in sheet order) and returns the chosen one.
+ */
+const ASSIGNMENT_STRATEGIES = {
+  RoundRobin: (candidates, officers) => {
+    const props = PropertiesService.getScriptProperties();
+    const last = officers.find(officer => officer.key === props.getProperty('FINANCE_ROUND_ROBIN_LAST_ID'));
+    const next = candidates.find(officer => officer.position > (last ? last.position : -1)) || candidates[0];
+    if (!isDryRun()) props.setProperty('FINANCE_ROUND_ROBIN_LAST_ID', next.key);
+    return next;
+  },
+  LeastOpen: candidates => candidates.reduce((best, officer) => officer.open < best.open ? officer : best)
+};
+
+/**
+ * Auto-assigns a Finance Officer to a group using the configured strategy.
+ * Inactive officers, officers at their MaxOpen limit and officers who are a participant of the group are skipped.
+ * @param {string} groupID Group ID.
+ * @returns {Object|null} Assigned officer from getFinanceOfficers, or null if none was assigned.
+ */
+function autoAssignFinanceOfficer(groupID) {
+  const mode = getSetting('FINANCE_ASSIGNMENT_MODE');
+  const strategy = ASSIGNMENT_STRATEGIES[mode];
+  if (!strategy) {
+    logAction('Error', `Unknown Finance Officer assignment mode '${mode}' for GroupID: ${groupID}`);
+    return null;
+  }
+  const participants = getGroupParticipantIds(groupID);
+  const workloads = getOpenWorkloads();
+  const officers = getFinanceOfficers();
+  const candidates = officers.filter(officer => {
+    if (!officer.active) return false;
+    if (participants.includes(officer.key)) {
+      logAction('Assignment Conflict', `GroupID: ${groupID}, Officer: ${officer.name} is a participant`);
+      return false;
     }
+    officer.open = workloads[officer.key] || 0;
+    return !officer.maxOpen || officer.open < officer.maxOpen;
+  });
+  if (candidates.length === 0) {
+    logAction('Error', `No Finance Officers available for GroupID: ${groupID}`);
+    return null;
   }
+  const fo = strategy(candidates, officers);
+  const assigned = updateControlRow(groupID, {
+    'FinanceOfficerName': fo.name,
+    'FinanceOfficerID': fo.id,
+    'FinanceOfficerEmail': fo.email,
+    'FinanceOfficerPhone': fo.phone
+  });
+  if (!assigned) return null;
+  logAction('Auto-Assign', `GroupID: ${groupID}, Officer: ${fo.name}, Mode: ${mode}, Open: ${fo.open + 1}`);
+  return fo;
 }
 
 /**
@@ -335,17 +1511,25 @@ function setUpFormIds() {
 }
 
 /**
- * Updates Application Form dropdowns with participant data.
+ * Updates Application Form dropdowns with active members from the Members register,
+ * or with Intent participants while the register is empty.
  */
 function syncParticipantDetails() {
-  const intentSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(LOAN_INTENT_SHEET_NAME);
-  const controlSheet = getControlSheet();
-  if (!intentSheet) {
+  setAuditContext('Trigger: syncParticipantDetails');
+  const intent = getTable(LOAN_INTENT_SHEET_NAME);
+  const control = getTable(CONTROL_SHEET_NAME);
+  if (!intent) {
     logAction('Error', 'Intent sheet not found');
     return;
   }
-  const intentData = intentSheet.getDataRange().getValues().slice(1);
-  const controlData = controlSheet.getDataRange().getValues().slice(1);
+  const intentData = intent.rows;
+  const activeMembers = Object.values(getMembers()).filter(member => member.status.toUpperCase() === MEMBER_STATUS_ACTIVE.toUpperCase());
+  const people = role => activeMembers.length > 0
+    ? activeMembers
+    : intentData.filter(row => row[6] === role).map(row => ({ id: row[2], name: row[3], phone: row[4], email: row[5] }));
+  const applicants = people(ROLE_APPLICANT);
+  const guarantors = people(ROLE_GUARANTOR);
+  const controlColumn = header => control.rows.map(row => row[control.col(header) - 1]).filter(value => value);
   const formId = PropertiesService.getScriptProperties().getProperty('LOAN_APPLICATION_FORM_ID');
   if (!formId) {
     logAction('Error', 'Application Form ID not set');
@@ -355,22 +1539,22 @@ function syncParticipantDetails() {
     const form = FormApp.openById(formId);
     const items = form.getItems();
     const fieldMap = {
-      'Cooperator ID': intentData.filter(row => row[6] === ROLE_APPLICANT).map(row => row[2]),
-      'Name': intentData.filter(row => row[6] === ROLE_APPLICANT).map(row => row[3]),
-      'Phone': intentData.filter(row => row[6] === ROLE_APPLICANT).map(row => row[4]),
-      'Email': intentData.filter(row => row[6] === ROLE_APPLICANT).map(row => row[5]),
-      'Guarantor 1 Name': intentData.filter(row => row[6] === ROLE_GUARANTOR).map(row => row[3]),
-      'Guarantor 1 Cooperator ID': intentData.filter(row => row[6] === ROLE_GUARANTOR).map(row => row[2]),
-      'Guarantor 1 Email': intentData.filter(row => row[6] === ROLE_GUARANTOR).map(row => row[5]),
-      'Guarantor 1 Phone': intentData.filter(row => row[6] === ROLE_GUARANTOR).map(row => row[4]),
-      'Guarantor 2 Name': intentData.filter(row => row[6] === ROLE_GUARANTOR).map(row => row[3]),
-      'Guarantor 2 Cooperator ID': intentData.filter(row => row[6] === ROLE_GUARANTOR).map(row => row[2]),
-      'Guarantor 2 Email': intentData.filter(row => row[6] === ROLE_GUARANTOR).map(row => row[5]),
-      'Guarantor 2 Phone': intentData.filter(row => row[6] === ROLE_GUARANTOR).map(row => row[4]),
-      'Approver ID': controlData.map(row => row[getColumnIndex(controlSheet, 'FinanceOfficerID') - 1]).filter(id => id),
-      'Approver Name': controlData.map(row => row[getColumnIndex(controlSheet, 'FinanceOfficerName') - 1]).filter(name => name),
-      'Approver Email': controlData.map(row => row[getColumnIndex(controlSheet, 'FinanceOfficerEmail') - 1]).filter(email => email),
-      'Approver Phone': controlData.map(row => row[getColumnIndex(controlSheet, 'FinanceOfficerPhone') - 1]).filter(phone => phone)
+      'Cooperator ID': applicants.map(person => person.id),
+      'Name': applicants.map(person => person.name),
+      'Phone': applicants.map(person => person.phone),
+      'Email': applicants.map(person => person.email),
+      'Guarantor 1 Name': guarantors.map(person => person.name),
+      'Guarantor 1 Cooperator ID': guarantors.map(person => person.id),
+      'Guarantor 1 Email': guarantors.map(person => person.email),
+      'Guarantor 1 Phone': guarantors.map(person => person.phone),
+      'Guarantor 2 Name': guarantors.map(person => person.name),
+      'Guarantor 2 Cooperator ID': guarantors.map(person => person.id),
+      'Guarantor 2 Email': guarantors.map(person => person.email),
+      'Guarantor 2 Phone': guarantors.map(person => person.phone),
+      'Approver ID': controlColumn('FinanceOfficerID'),
+      'Approver Name': controlColumn('FinanceOfficerName'),
+      'Approver Email': controlColumn('FinanceOfficerEmail'),
+      'Approver Phone': controlColumn('FinanceOfficerPhone')
     };
     items.forEach(item => {
       const title = item.getTitle();
@@ -384,13 +1568,141 @@ function syncParticipantDetails() {
   }
 }
 
+// --- APPLICATION STATE MACHINE ---
+
 /**
- * Handles Intent Form submissions.
+ * Allowed ApplicationStatus transitions: current status -> statuses it may move to.
+ * An empty status is a brand-new Control row.
+ */
+const STATUS_TRANSITIONS = {
+  '': [STATUS_PENDING_FINANCE_OFFICER, STATUS_APPLICANT_SUBMITTED],
+  [STATUS_PENDING_FINANCE_OFFICER]: [STATUS_PENDING_FINANCE_OFFICER, STATUS_APPLICANT_SUBMITTED, STATUS_EXPIRED],
+  [STATUS_APPLICANT_SUBMITTED]: [STATUS_APPLICANT_SUBMITTED, STATUS_FINANCE_REVIEWED, STATUS_EXPIRED, STATUS_PENDING_FINANCE_OFFICER],
+  [STATUS_FINANCE_REVIEWED]: [STATUS_PENDING_FINANCE_OFFICER, STATUS_PENDING_APPROVAL, STATUS_COMPLETED, STATUS_REJECTED],
+  [STATUS_PENDING_APPROVAL]: [STATUS_PENDING_APPROVAL, STATUS_COMPLETED, STATUS_REJECTED, STATUS_PENDING_FINANCE_OFFICER],
+  [STATUS_EXPIRED]: [STATUS_PENDING_FINANCE_OFFICER, STATUS_APPLICANT_SUBMITTED],
+  [STATUS_REJECTED]: [STATUS_PENDING_FINANCE_OFFICER]
+};
+
+/**
+ * Guard conditions checked before entering a status. Each receives the group's Control record
+ * (values keyed by header) and returns an error message, or null if the move is allowed.
+ */
+const STATUS_GUARDS = {
+  [STATUS_APPLICANT_SUBMITTED]: record =>
+    record['FinanceOfficerName'] && record['FinanceOfficerID'] && record['FinanceOfficerEmail'] && record['FinanceOfficerPhone']
+      ? null : 'No Finance Officer assigned',
+  [STATUS_FINANCE_REVIEWED]: record => {
+    if (record['Locked'] === 'TRUE') return 'Application is locked';
+    if ([record['Guarantor1Consent'], record['Guarantor2Consent']].includes(CONSENT_DECLINED)) return 'A guarantor has declined and has not been replaced';
+    const flags = getOpenFlags(record['GroupID']);
+    if (flags.length > 0) return `Open flag(s) must be cleared by an admin: ${flags.map(flag => flag['Type']).join(', ')}`;
+    return null;
+  }
+};
+
+/**
+ * Gets or creates StatusHistory sheet (its sandbox copy in dry-run mode).
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} StatusHistory sheet.
+ */
+function getStatusHistorySheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = getStateSheet(STATUS_HISTORY_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(getStateSheetName(STATUS_HISTORY_SHEET_NAME));
+    sheet.getRange(1, 1, 1, 6).setValues([SHEET_SCHEMAS[STATUS_HISTORY_SHEET_NAME].headers]);
+  }
+  return sheet;
+}
+
+/**
+ * Checks whether a group may move from one status to another.
+ * @param {string} from Current status ('' for a new row).
+ * @param {string} to Requested status.
+ * @param {Object} record Control record keyed by header.
+ * @returns {string|null} Error message, or null if the transition is allowed.
+ */
+function getStatusTransitionError(from, to, record) {
+  const allowed = STATUS_TRANSITIONS[from || ''];
+  if (!allowed || !allowed.includes(to)) return `${from || '(new)'} -> ${to} is not allowed`;
+  const guard = STATUS_GUARDS[to];
+  const guardError = guard ? guard(record) : null;
+  return guardError ? `${from || '(new)'} -> ${to} blocked: ${guardError}` : null;
+}
+
+/**
+ * Moves a group to a new ApplicationStatus and records it in StatusHistory.
+ * Invalid transitions are logged and leave the row untouched.
+ * @param {string} groupID Group ID.
+ * @param {string} to Requested status.
+ * @param {string} actor Who caused the change (email or System).
+ * @param {string} reason Why the status changed.
+ * @returns {number} 1-based Control row of the group, or 0 if the transition was rejected.
+ */
+function transitionStatus(groupID, to, actor, reason) {
+  return withScriptLock(() => {
+    const table = getTable(CONTROL_SHEET_NAME);
+    const row = table.find(groupID);
+    if (!row) {
+      logAction('Error', `Status change failed, GroupID not found: ${groupID} (-> ${to})`);
+      return 0;
+    }
+    const record = table.record(row);
+    const from = record['ApplicationStatus'];
+    const error = getStatusTransitionError(from, to, record);
+    if (error) {
+      logAction('Error', `Invalid status transition for GroupID: ${groupID}: ${error}`);
+      return 0;
+    }
+    table.set(row, 'ApplicationStatus', to);
+    getStatusHistorySheet().appendRow([groupID, from, to, actor || 'System', new Date(), reason || '']);
+    return table.rows.indexOf(row) + 2;
+  });
+}
+
+/**
+ * Gets the email of the admin running a menu action.
+ * @returns {string} Admin email, or Admin if it cannot be read.
+ */
+function getActiveUserEmail() {
+  return Session.getActiveUser().getEmail() || 'Admin';
+}
+
+/**
+ * Checks that the user calling a dialog or menu function is an admin: an editor of the spreadsheet
+ * or one of getAdminEmails. Any server function without a trailing underscore can be called from a
+ * browser with google.script.run, so every privileged entry point checks for itself.
+ * @returns {string} The admin's email.
+ * @throws {Error} If the user is not signed in as an admin.
+ */
+function requireAdmin_() {
+  const email = String(Session.getActiveUser().getEmail() || '').trim().toLowerCase();
+  const admins = SpreadsheetApp.getActiveSpreadsheet().getEditors().map(user => user.getEmail())
+    .concat(getAdminEmails())
+    .map(admin => String(admin).trim().toLowerCase());
+  if (!email || !admins.includes(email)) {
+    logAction('Access Denied', `${email || 'An anonymous user'} is not an admin`);
+    throw new Error('Only spreadsheet editors and ADMIN_EMAILS can do this.');
+  }
+  return email;
+}
+
+/**
+ * Intent Form trigger. Submissions are saved to FormEvents for replay, then processed one at a time under the script lock.
  * @param {GoogleAppsScript.Forms.FormSubmitEvent} e Form submission event.
  */
 function onIntentFormSubmit(e) {
-  const intentSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(LOAN_INTENT_SHEET_NAME);
-  if (!intentSheet) {
+  setAuditContext('Form: Intent', getFormActor(e?.namedValues?.['Your Email']?.[0]));
+  receiveFormEvent_('Intent', e, e?.namedValues?.['Your Email']?.[0]);
+}
+
+/**
+ * Handles Intent Form submissions.
+ * @param {GoogleAppsScript.Forms.FormSubmitEvent} e Form submission event.
+ */
+function handleIntentFormSubmit(e) {
+  const intent = getTable(LOAN_INTENT_SHEET_NAME);
+  if (!intent) {
     logAction('Error', 'Intent sheet not found');
     return;
   }
@@ -428,6 +1740,25 @@ function onIntentFormSubmit(e) {
     return;
   }
 
+  const memberProblems = checkParticipants(applicant, [guarantor1, guarantor2]);
+  if (memberProblems.length > 0) {
+    sendTemplatedEmail('MemberCheckFailed', applicant.email, { Name: applicant.name, DetailsTable: buildMemberProblemsTable(memberProblems) });
+    logAction('Member Check', `Rejected intent for CooperatorID: ${applicant.id}: ${memberProblems.map(p => `${p.label} ${p.person.id}: ${p.reason}`).join('; ')}`);
+    return;
+  }
+
+  const refusals = checkGuarantorLimits([guarantor1, guarantor2]);
+  const refusalNote = refusals.map(r => `${r.guarantor.name} (${r.guarantor.id}) ${r.reason}`).join('; ');
+  if (refusals.length > 0 && getGuarantorLimitSettings().mode === GUARANTOR_LIMIT_REJECT) {
+    const refusalTable = buildHtmlTableFromObject(refusals.reduce((obj, r) => {
+      obj[`${r.guarantor.name} (${r.guarantor.id})`] = `Refused: ${r.reason}`;
+      return obj;
+    }, {}));
+    sendTemplatedEmail('IntentNotAccepted', applicant.email, { Name: applicant.name, DetailsTable: refusalTable });
+    logAction('Guarantor Limit', `Rejected intent for CooperatorID: ${applicant.id}: ${refusalNote}`);
+    return;
+  }
+
   const groupID = generateGroupID();
   const timestamp = new Date();
   const rows = [
@@ -436,20 +1767,26 @@ function onIntentFormSubmit(e) {
     [timestamp, groupID, guarantor2.id, guarantor2.name, guarantor2.phone, guarantor2.email, ROLE_GUARANTOR]
   ];
 
-  const existingData = intentSheet.getDataRange().getValues().slice(1);
   for (const row of rows) {
-    if (existingData.some(r => r[1] === row[1] && r[2] === row[2])) {
+    if (intent.findAll(row[1]).some(r => r[2] === row[2])) {
       logAction('Error', `Duplicate entry: GroupID=${row[1]}, CooperatorID=${row[2]}`);
       continue;
     }
-    intentSheet.appendRow(row);
+    intent.append(row);
   }
 
-  const controlSheet = getControlSheet();
-  controlSheet.appendRow([
-    groupID, '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', 'PendingFinanceOfficer', 'FALSE', timestamp, '',
-    '', '', '', '', '', '', '', '', '', '', '', '', 'FALSE'
-  ]);
+  if (refusals.length > 0) ensureControlHeaders(['GuarantorLimitNote']);
+  getTable(CONTROL_SHEET_NAME).append({
+    'GroupID': groupID,
+    'Locked': 'FALSE',
+    'Timestamp': timestamp,
+    'GuarantorLimitNote': refusals.length > 0 ? `Guarantor limit exceeded: ${refusalNote}` : '',
+    'Notified': 'FALSE'
+  });
+  if (refusals.length > 0) {
+    logAction('Guarantor Limit', `Flagged GroupID: ${groupID}: ${refusalNote}`);
+  }
+  transitionStatus(groupID, STATUS_PENDING_FINANCE_OFFICER, applicant.email, 'Intent submitted');
 
   autoAssignFinanceOfficer(groupID);
 
@@ -469,21 +1806,34 @@ function onIntentFormSubmit(e) {
     'Guarantor 2 Email': guarantor2.email,
     'Guarantor 2 Phone': guarantor2.phone
   };
-  const intentTable = buildHtmlTableFromObject(intentData);
-  sendEmail(
-    applicant.email,
-    `Loan Intent Submitted - ${groupID}`,
-    `<p>Dear ${applicant.name},</p><p>Your loan intent (GroupID: ${groupID}) has been received. Please wait for Finance Officer assignment before proceeding.</p>${intentTable}<p>Application Form: <a href="${prefillLink}">Click here</a></p>`
-  );
+  sendTemplatedEmail('IntentReceived', applicant.email, {
+    Name: applicant.name,
+    ApplicantName: applicant.name,
+    GroupID: groupID,
+    DetailsTable: buildHtmlTableFromObject(intentData),
+    Link: prefillLink,
+    PortalHtml: buildPortalLinkHtml(groupID, ROLE_APPLICANT, applicant.email, applicant.name)
+  });
   logAction('Intent', `Submitted: GroupID=${groupID}`);
+  flagFraudPatterns([groupID]);
 }
 
 /**
- * Handles Application Form submissions.
+ * Application Form trigger. Submissions are saved to FormEvents for replay, then processed one at a time under the script lock.
  * @param {GoogleAppsScript.Forms.FormSubmitEvent} e Form submission event.
  */
 function onApplicationFormSubmit(e) {
-  const sheet = getControlSheet();
+  setAuditContext('Form: Application', getFormActor(e?.namedValues?.['Email']?.[0]));
+  receiveFormEvent_('Application', e, e?.namedValues?.['Email']?.[0]);
+}
+
+/**
+ * Handles Application Form submissions.
+ * @param {GoogleAppsScript.Forms.FormSubmitEvent} e Form submission event.
+ */
+function handleApplicationFormSubmit(e) {
+  ensureControlHeaders(GUARANTOR_CONSENT_HEADERS.concat(REMINDER_TRACKING_HEADERS));
+  const table = getTable(CONTROL_SHEET_NAME);
   const responses = e.namedValues;
   const role = responses['Role']?.[0] || '';
   let groupID = responses['Loan ID']?.[0] || '';
@@ -518,7 +1868,10 @@ function onApplicationFormSubmit(e) {
     guarantor1Rating: responses['Guarantor 1 Rating']?.[0] || '',
     guarantor2Balance: responses['Guarantor 2 Balance']?.[0] || '',
     guarantor2Rating: responses['Guarantor 2 Rating']?.[0] || '',
-    comments: responses['Comments']?.[0] || ''
+    comments: responses['Comments']?.[0] || '',
+    guarantorDecision: responses['Guarantor Decision']?.[0] || '',
+    declineReason: responses['Decline Reason']?.[0] || '',
+    membershipMonths: responses['Membership Months']?.[0] || ''
   };
 
   if (!role || (role === ROLE_APPLICANT && !data.applicantId) || (role === ROLE_GUARANTOR && (!data.guarantor1Id || !data.guarantor2Id)) || (role === ROLE_FINANCE && !data.approverId)) {
@@ -526,89 +1879,194 @@ function onApplicationFormSubmit(e) {
     return;
   }
 
+  if (role === ROLE_REPLACEMENT) {
+    handleGuarantorReplacement(groupID, data, responses['Email']?.[0] || '');
+    flagFraudPatterns([groupID]);
+    return;
+  }
+
+  const approvalStage = getApprovalStages().find(stage => stage.role === role);
+  if (approvalStage) {
+    handleApprovalStageSubmission(groupID, approvalStage, responses['Email']?.[0] || '', data.status, data.comments);
+    return;
+  }
+
   if (role === ROLE_APPLICANT && !checkFinanceOfficerExists(groupID)) {
-    sendEmail(data.applicantEmail, `Submission Blocked - ${groupID}`, `<p>Dear ${data.applicantName},</p><p>No Finance Officer assigned for GroupID: ${groupID}. Please contact the admin.</p>`);
+    sendTemplatedEmail('SubmissionBlocked', data.applicantEmail, { Name: data.applicantName, GroupID: groupID });
     logAction('Error', `Blocked: No Finance Officer for GroupID: ${groupID}`);
     return;
   }
 
   const financeOfficer = getFinanceOfficer(groupID) || { name: '', id: '', email: '', phone: '' };
-  const controlData = sheet.getDataRange().getValues();
   const cols = {
-    groupID: getColumnIndex(sheet, 'GroupID'),
-    cooperatorID: getColumnIndex(sheet, 'CooperatorID'),
-    status: getColumnIndex(sheet, 'ApplicationStatus'),
-    locked: getColumnIndex(sheet, 'Locked'),
-    notified: getColumnIndex(sheet, 'Notified')
+    groupID: table.col('GroupID'),
+    cooperatorID: table.col('CooperatorID'),
+    status: table.col('ApplicationStatus'),
+    locked: table.col('Locked')
   };
-  let rowIndex = controlData.findIndex(row => row[cols.groupID - 1] === groupID) + 1;
+  const controlRow = groupID ? table.find(groupID) : null;
+  let eligibility = null;
 
   if (role === ROLE_APPLICANT) {
-    if (controlData.some(row => row[cols.cooperatorID - 1] === data.applicantId && !['FinanceReviewed', 'Expired'].includes(row[cols.status - 1]))) {
-      sendEmail(data.applicantEmail, `Submission Blocked - Active Loan`, `<p>Dear ${data.applicantName},</p><p>You have an active loan application. Please contact the admin.</p>`);
+    // The group's own row (e.g., a reopened application) is not another active loan.
+    if (table.rows.some(row => row[cols.groupID - 1] !== groupID && row[cols.cooperatorID - 1] === data.applicantId &&
+      ![STATUS_FINANCE_REVIEWED, STATUS_EXPIRED].includes(row[cols.status - 1]))) {
+      sendTemplatedEmail('ActiveLoanBlocked', data.applicantEmail, { Name: data.applicantName, GroupID: groupID });
       logAction('Error', `Blocked: Active loan for CooperatorID: ${data.applicantId}`);
       return;
     }
-    if (!groupID || rowIndex === 0) {
+    const memberProblems = checkParticipants(
+      { id: data.applicantId, name: data.applicantName, email: data.applicantEmail },
+      ['1', '2'].map(num => ({ id: data[`guarantor${num}Id`], name: data[`guarantor${num}Name`], email: data[`guarantor${num}Email`] }))
+    );
+    if (memberProblems.length > 0) {
+      sendTemplatedEmail('ApplicationMemberCheckFailed', data.applicantEmail, {
+        Name: data.applicantName,
+        GroupID: groupID,
+        DetailsTable: buildMemberProblemsTable(memberProblems)
+      });
+      logAction('Member Check', `Rejected application for GroupID: ${groupID}: ${memberProblems.map(p => `${p.label} ${p.person.id}: ${p.reason}`).join('; ')}`);
+      return;
+    }
+    if (!controlRow) {
       groupID = generateGroupID();
-      rowIndex = sheet.getLastRow() + 1;
-    } else if (sheet.getRange(rowIndex, cols.locked).getValue() === 'TRUE') {
-      sendEmail(data.applicantEmail, `Application Locked - ${groupID}`, `<p>Dear ${data.applicantName},</p><p>Application ${groupID} is locked. Please contact the admin.</p>`);
+    } else if (controlRow[cols.locked - 1] === 'TRUE') {
+      sendTemplatedEmail('ApplicationLocked', data.applicantEmail, { Name: data.applicantName, GroupID: groupID });
       logAction('Error', `Blocked: Application locked for GroupID: ${groupID}`);
       return;
     }
-    const newRow = Array(41).fill('');
-    Object.keys(data).forEach(key => {
-      const colName = key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
-      try {
-        const col = getColumnIndex(sheet, colName);
-        newRow[col - 1] = data[key];
-      } catch (e) {}
-    });
-    newRow[cols.groupID - 1] = groupID;
-    newRow[cols.cooperatorID - 1] = data.applicantId;
-    newRow[cols.status - 1] = 'ApplicantSubmitted';
-    newRow[cols.locked - 1] = 'FALSE';
-    newRow[cols.notified - 1] = 'TRUE';
-    newRow[getColumnIndex(sheet, 'Timestamp') - 1] = new Date();
-    newRow[getColumnIndex(sheet, 'FinanceOfficerName') - 1] = financeOfficer.name;
-    newRow[getColumnIndex(sheet, 'FinanceOfficerID') - 1] = financeOfficer.id;
-    newRow[getColumnIndex(sheet, 'FinanceOfficerEmail') - 1] = financeOfficer.email;
-    newRow[getColumnIndex(sheet, 'FinanceOfficerPhone') - 1] = financeOfficer.phone;
-    sheet.getRange(rowIndex, 1, 1, 41).setValues([newRow]);
+    const existing = controlRow ? table.record(controlRow) : {};
+    const values = {};
+    Object.keys(APPLICANT_FIELD_HEADERS).forEach(key => values[APPLICANT_FIELD_HEADERS[key]] = data[key]);
+    Object.assign(values, {
+      'GroupID': groupID,
+      'CooperatorID': data.applicantId,
+      'Locked': 'FALSE',
+      'Notified': 'TRUE',
+      'Timestamp': new Date(),
+      'FinanceOfficerName': financeOfficer.name,
+      'FinanceOfficerID': financeOfficer.id,
+      'FinanceOfficerEmail': financeOfficer.email,
+      'FinanceOfficerPhone': financeOfficer.phone
+    });
+    ['1', '2'].forEach(num => {
+      if (!existing[`Guarantor${num}Consent`] || String(existing[`Guarantor${num}ID`]).trim() !== String(data[`guarantor${num}Id`]).trim()) {
+        values[`Guarantor${num}Consent`] = CONSENT_PENDING;
+        values[`Guarantor${num}RequestedAt`] = new Date();
+        values[`Guarantor${num}SubmittedAt`] = '';
+      }
+    });
+    const record = Object.assign({}, existing, values);
+    const transitionError = getStatusTransitionError(existing['ApplicationStatus'] || '', STATUS_APPLICANT_SUBMITTED, record);
+    if (transitionError) {
+      logAction('Error', `Invalid status transition for GroupID: ${groupID}: ${transitionError}`);
+      return;
+    }
+    if (controlRow) {
+      table.update(controlRow, values);
+    } else {
+      table.append(values);
+    }
+    if (!transitionStatus(groupID, STATUS_APPLICANT_SUBMITTED, data.applicantEmail, 'Applicant submitted application')) return;
   } else if (role === ROLE_GUARANTOR) {
-    if (!groupID || rowIndex === 0) {
+    if (!controlRow) {
       logAction('Error', `No GroupID for Role: ${role}`);
       return;
     }
-    if (sheet.getRange(rowIndex, cols.locked).getValue() === 'TRUE') {
-      sendEmail(data.guarantor1Email || data.guarantor2Email, `Application Locked - ${groupID}`, `<p>Dear ${data.guarantor1Name || data.guarantor2Name},</p><p>Application ${groupID} is locked.</p>`);
+    if (controlRow[cols.locked - 1] === 'TRUE') {
+      sendTemplatedEmail('ApplicationLocked', data.guarantor1Email || data.guarantor2Email, { Name: data.guarantor1Name || data.guarantor2Name, GroupID: groupID });
       logAction('Error', `Blocked: ${role} submission for GroupID: ${groupID}`);
       return;
     }
-    const guarantorNum = data.guarantor1Email === responses['Email']?.[0] ? '1' : '2';
-    sheet.getRange(rowIndex, getColumnIndex(sheet, `Guarantor${guarantorNum}Name`), 1, 4).setValues([[
-      data[`guarantor${guarantorNum}Name`], data[`guarantor${guarantorNum}Id`], 
-      data[`guarantor${guarantorNum}Email`], data[`guarantor${guarantorNum}Phone`]
-    ]]);
-    sheet.getRange(rowIndex, cols.notified).setValue('TRUE');
+    // The slot is the one whose email or Cooperator ID on the Control row is the submitter's.
+    const guarantorRecord = table.record(controlRow);
+    const submitterEmail = String(responses['Email']?.[0] || '').trim().toLowerCase();
+    const submitterId = String(responses['Cooperator ID']?.[0] || '').trim().toUpperCase();
+    const guarantorNum = ['1', '2'].find(num =>
+      (submitterEmail && String(guarantorRecord[`Guarantor${num}Email`]).trim().toLowerCase() === submitterEmail) ||
+      (submitterId && String(guarantorRecord[`Guarantor${num}ID`]).trim().toUpperCase() === submitterId));
+    if (!guarantorNum) {
+      logAction('Error', `Blocked: ${role} submission for GroupID: ${groupID} by ${submitterEmail || submitterId || '(no email)'}, not a guarantor of this group`);
+      return;
+    }
+    if (data.guarantorDecision === GUARANTOR_DECLINE) {
+      handleGuarantorDecline(groupID, guarantorNum, data.declineReason, financeOfficer);
+      return;
+    }
+    const guarantor = {
+      id: data[`guarantor${guarantorNum}Id`],
+      name: data[`guarantor${guarantorNum}Name`],
+      email: data[`guarantor${guarantorNum}Email`]
+    };
+    const members = getMembers();
+    const memberReason = Object.keys(members).length > 0 ? checkMember(guarantor, members) : null;
+    if (memberReason) {
+      sendTemplatedEmail('ApplicationMemberCheckFailed', guarantor.email, {
+        Name: guarantor.name,
+        GroupID: groupID,
+        DetailsTable: buildMemberProblemsTable([{ label: `Guarantor ${guarantorNum}`, person: guarantor, reason: memberReason }])
+      });
+      logAction('Member Check', `Rejected Guarantor ${guarantorNum} submission for GroupID: ${groupID}: ${guarantor.id}: ${memberReason}`);
+      return;
+    }
+    table.update(controlRow, {
+      [`Guarantor${guarantorNum}Name`]: data[`guarantor${guarantorNum}Name`],
+      [`Guarantor${guarantorNum}ID`]: data[`guarantor${guarantorNum}Id`],
+      [`Guarantor${guarantorNum}Email`]: data[`guarantor${guarantorNum}Email`],
+      [`Guarantor${guarantorNum}Phone`]: data[`guarantor${guarantorNum}Phone`],
+      [`Guarantor${guarantorNum}Consent`]: CONSENT_ACCEPTED,
+      [`Guarantor${guarantorNum}SubmittedAt`]: new Date(),
+      'Notified': 'TRUE'
+    });
   } else if (role === ROLE_FINANCE) {
-    if (!groupID || rowIndex === 0) {
+    if (!controlRow) {
       logAction('Error', `No GroupID for Role: ${role}`);
       return;
     }
-    if (sheet.getRange(rowIndex, cols.locked).getValue() === 'TRUE') {
+    if (controlRow[cols.locked - 1] === 'TRUE') {
       logAction('Error', `Blocked: ${role} submission for GroupID: ${groupID}`);
       return;
     }
+    flagFraudPatterns([groupID]);
+    const currentRecord = table.record(controlRow);
+    const transitionError = getStatusTransitionError(currentRecord['ApplicationStatus'], STATUS_FINANCE_REVIEWED, currentRecord);
+    if (transitionError) {
+      logAction('Error', `Invalid status transition for GroupID: ${groupID}: ${transitionError}`);
+      const openFlags = getOpenFlags(groupID);
+      if (openFlags.length > 0) {
+        const flagsTable = buildHtmlTableFromRows(['Type', 'Details', 'Related Groups'],
+          openFlags.map(flag => [flag['Type'], flag['Details'], flag['RelatedGroups']]));
+        const officerEmail = data.approverEmail || financeOfficer.email;
+        [{ name: data.approverName || financeOfficer.name, email: officerEmail }]
+          .concat(getAdminEmails().filter(email => email !== officerEmail).map(email => ({ name: 'Admin', email: email })))
+          .forEach(recipient => sendTemplatedEmail('FinanceReviewBlocked', recipient.email, {
+            Name: recipient.name,
+            GroupID: groupID,
+            ApplicantName: currentRecord['Name'],
+            FlagsTable: flagsTable
+          }));
+      }
+      return;
+    }
     const fields = ['ApproverName', 'ApproverID', 'ApproverEmail', 'ApproverPhone', 'Status', 'Comments', 'BankName', 
                     'AccountName', 'AccountNumber', 'ApplicantBalance', 'ApplicantRating', 'Guarantor1Balance', 
                     'Guarantor1Rating', 'Guarantor2Balance', 'Guarantor2Rating'];
-    const values = fields.map(field => data[field.toLowerCase()] || '');
-    sheet.getRange(rowIndex, getColumnIndex(sheet, 'ApproverName'), 1, fields.length).setValues([values]);
-    sheet.getRange(rowIndex, cols.status).setValue('FinanceReviewed');
-    sheet.getRange(rowIndex, cols.locked).setValue('TRUE');
-    sheet.getRange(rowIndex, cols.notified).setValue('TRUE');
+    fields.forEach(field => {
+      const key = field.charAt(0).toLowerCase() + field.slice(1).replace(/ID$/, 'Id');
+      table.set(controlRow, field, data[key] || '');
+    });
+    eligibility = evaluateEligibility({
+      loanAmount: parseAmount(currentRecord['LoanAmountFigures'] || data.loanAmountFigures),
+      repaymentMonths: parseRepaymentMonths(currentRecord['RepaymentPeriod'] || data.repaymentPeriod),
+      applicantBalance: parseAmount(data.applicantBalance),
+      applicantRating: parseFloat(data.applicantRating) || 0,
+      guarantor1Balance: parseAmount(data.guarantor1Balance),
+      guarantor2Balance: parseAmount(data.guarantor2Balance),
+      membershipMonths: parseInt(data.membershipMonths, 10) || getMembershipMonths(currentRecord['CooperatorID'])
+    });
+    recordEligibility(groupID, eligibility);
+    if (!transitionStatus(groupID, STATUS_FINANCE_REVIEWED, data.approverEmail || financeOfficer.email, `Finance review: ${data.status}`)) return;
+    updateControlRow(groupID, { 'Locked': 'TRUE', 'Notified': 'TRUE' });
   } else {
     logAction('Error', `Invalid role: ${role}`);
     return;
@@ -620,7 +2078,7 @@ function onApplicationFormSubmit(e) {
     guarantor2: generatePrefilledLink(groupID, ROLE_GUARANTOR, data.guarantor2Email),
     finance: generatePrefilledLink(groupID, ROLE_FINANCE, financeOfficer.email)
   };
-  sheet.getRange(rowIndex, getColumnIndex(sheet, 'ApplicantLink'), 1, 2).setValues([[links.applicant, links.finance]]);
+  updateControlRow(groupID, { 'ApplicantLink': links.applicant, 'FinanceLink': links.finance });
 
   const emailData = {
     'Loan ID': groupID,
@@ -645,234 +2103,3987 @@ function onApplicationFormSubmit(e) {
     'Guarantor 2 Phone': data.guarantor2Phone,
     'Status': data.status || 'Pending'
   };
-  const table = buildHtmlTableFromObject(emailData);
+  const emailValues = {
+    GroupID: groupID,
+    ApplicantName: data.applicantName,
+    DetailsTable: buildHtmlTableFromObject(emailData)
+  };
+  const withValues = values => Object.assign({}, emailValues, values);
 
   switch (role) {
     case ROLE_APPLICANT:
-      sendEmail(data.applicantEmail, `Application Submitted - ${groupID}`, 
-        `<p>Dear ${data.applicantName},</p><p>Your application (GroupID: ${groupID}) has been submitted.</p>${table}<p>Edit: <a href="${links.applicant}">Click here</a></p>`);
-      sendEmail(data.guarantor1Email, `Action Required - ${groupID}`, 
-        `<p>Dear ${data.guarantor1Name},</p><p>Please submit details for ${data.applicantName}'s loan (GroupID: ${groupID}).</p>${table}<p><a href="${links.guarantor1}">Submit</a></p>`);
-      sendEmail(data.guarantor2Email, `Action Required - ${groupID}`, 
-        `<p>Dear ${data.guarantor2Name},</p><p>Please submit details for ${data.applicantName}'s loan (GroupID: ${groupID}).</p>${table}<p><a href="${links.guarantor2}">Submit</a></p>`);
+      sendTemplatedEmail('ApplicationSubmitted', data.applicantEmail, withValues({
+        Name: data.applicantName,
+        Link: links.applicant,
+        PortalHtml: buildPortalLinkHtml(groupID, ROLE_APPLICANT, data.applicantEmail, data.applicantName)
+      }));
+      ['1', '2'].forEach(num => {
+        sendTemplatedEmail('ActionRequired', data[`guarantor${num}Email`], withValues({
+          Name: data[`guarantor${num}Name`],
+          Link: links[`guarantor${num}`],
+          PortalHtml: buildPortalLinkHtml(groupID, ROLE_GUARANTOR, data[`guarantor${num}Email`], data[`guarantor${num}Name`])
+        }));
+      });
       if (financeOfficer.email) {
-        sendEmail(financeOfficer.email, `Review Application - ${groupID}`, 
-          `<p>Dear ${financeOfficer.name},</p><p>Please review ${data.applicantName}'s loan application (GroupID: ${groupID}).</p>${table}<p><a href="${links.finance}">Review</a></p>`);
+        sendTemplatedEmail('ReviewRequired', financeOfficer.email, withValues({
+          Name: financeOfficer.name,
+          Link: links.finance,
+          PortalHtml: buildPortalLinkHtml(groupID, ROLE_FINANCE, financeOfficer.email, financeOfficer.name)
+        }));
       }
       break;
     case ROLE_GUARANTOR:
       const guarantorNum = data.guarantor1Email === responses['Email']?.[0] ? '1' : '2';
       const gName = guarantorNum === '1' ? data.guarantor1Name : data.guarantor2Name;
       const gEmail = guarantorNum === '1' ? data.guarantor1Email : data.guarantor2Email;
-      sendEmail(gEmail, `Details Submitted - ${groupID}`, 
-        `<p>Dear ${gName},</p><p>Your details for ${data.applicantName}'s loan (GroupID: ${groupID}) have been submitted.</p>${table}`);
+      sendTemplatedEmail('DetailsSubmitted', gEmail, withValues({ Name: gName }));
       [data.applicantEmail, financeOfficer.email].filter(email => email).forEach(email => {
-        sendEmail(email, `Guarantor ${guarantorNum} Submitted - ${groupID}`, 
-          `<p>Dear ${email === data.applicantEmail ? data.applicantName : financeOfficer.name},</p><p>${gName} has submitted details for GroupID: ${groupID}.</p>${table}`);
+        sendTemplatedEmail('GuarantorSubmitted', email, withValues({
+          Name: email === data.applicantEmail ? data.applicantName : financeOfficer.name,
+          GuarantorName: gName,
+          GuarantorNum: guarantorNum
+        }));
       });
       break;
     case ROLE_FINANCE:
+      const eligibilityHtml = eligibility ? buildEligibilityHtml(eligibility) : '';
       [data.applicantEmail, data.guarantor1Email, data.guarantor2Email].filter(email => email).forEach(email => {
-        sendEmail(email, `Application Reviewed - ${groupID}`, 
-          `<p>Dear ${email === data.applicantEmail ? data.applicantName : email === data.guarantor1Email ? data.guarantor1Name : data.guarantor2Name},</p><p>Loan application ${groupID} has been reviewed. Status: ${data.status}.</p>${table}`);
+        sendTemplatedEmail('Reviewed', email, withValues({
+          Name: email === data.applicantEmail ? data.applicantName : email === data.guarantor1Email ? data.guarantor1Name : data.guarantor2Name,
+          Decision: data.status,
+          EligibilityTable: eligibilityHtml
+        }));
       });
-      archiveApplication(groupID);
+      startApprovalStages(groupID, data.status, data.approverEmail || financeOfficer.email);
       break;
   }
   logAction('Application', `Submitted: GroupID=${groupID}, Role=${role}`);
+  if (role !== ROLE_FINANCE) flagFraudPatterns([groupID]);
 }
 
 /**
- * Sends daily reminders for pending actions.
+ * Sends the daily reminders: the reminder ladder to guarantors and Finance Officers who have not acted,
+ * an escalation before expiry, expiry itself, approval stage reminders, and the PendingFinanceOfficer track.
+ * @param {Object} [e] Time-driven trigger event; absent when run from the menu.
  */
-function sendDailyReminders() {
-  const sheet = getControlSheet();
-  const data = sheet.getDataRange().getValues();
+function sendDailyReminders(e) {
+  setAuditContext(`${e ? 'Trigger' : 'Menu'}: sendDailyReminders`);
+  ensureControlHeaders(REMINDER_TRACKING_HEADERS);
+  const control = getTable(CONTROL_SHEET_NAME);
   const now = new Date();
+  const ladder = getReminderLadder();
+  const awaitingAdmin = [];
   let emailCount = 0;
-  const cols = {
-    groupID: getColumnIndex(sheet, 'GroupID'),
-    name: getColumnIndex(sheet, 'Name'),
-    email: getColumnIndex(sheet, 'Email'),
-    guarantor1Name: getColumnIndex(sheet, 'Guarantor1Name'),
-    guarantor1Email: getColumnIndex(sheet, 'Guarantor1Email'),
-    guarantor2Name: getColumnIndex(sheet, 'Guarantor2Name'),
-    guarantor2Email: getColumnIndex(sheet, 'Guarantor2Email'),
-    financeOfficerName: getColumnIndex(sheet, 'FinanceOfficerName'),
-    financeOfficerEmail: getColumnIndex(sheet, 'FinanceOfficerEmail'),
-    status: getColumnIndex(sheet, 'ApplicationStatus'),
-    financeLink: getColumnIndex(sheet, 'FinanceLink'),
-    timestamp: getColumnIndex(sheet, 'Timestamp')
-  };
 
-  for (let i = 1; i < data.length; i++) {
-    const row = data[i];
-    const groupID = row[cols.groupID - 1];
-    if (!checkFinanceOfficerExists(groupID) || row[cols.status - 1] !== 'ApplicantSubmitted') continue;
-    const timestamp = new Date(row[cols.timestamp - 1]);
-    const daysSince = Math.floor((now - timestamp) / (1000 * 60 * 60 * 24));
-    if (daysSince >= REMINDER_DAYS_LIMIT) {
-      sheet.getRange(i + 1, cols.status).setValue('Expired');
-      sheet.getRange(i + 1, getColumnIndex(sheet, 'Locked')).setValue('TRUE');
-      sendEmail(row[cols.email - 1], `Application Expired - ${groupID}`, 
-        `<p>Dear ${row[cols.name - 1]},</p><p>Your application (GroupID: ${groupID}) has expired due to inactivity.</p>`);
+  for (const row of control.rows.slice()) {
+    const record = control.record(row);
+    const groupID = record['GroupID'];
+    const status = record['ApplicationStatus'];
+    if (status === STATUS_PENDING_APPROVAL) {
+      emailCount += sendStageReminders(record);
+      continue;
+    }
+    if (status === STATUS_PENDING_FINANCE_OFFICER) {
+      if (!isPendingReminderDue(record, now)) continue;
+      if (record['FinanceOfficerEmail'] && record['Notified'] === 'TRUE') {
+        emailCount += sendApplicantReminder(record, now);
+      } else {
+        awaitingAdmin.push(record);
+      }
+      continue;
+    }
+    if (status !== STATUS_APPLICANT_SUBMITTED || !checkFinanceOfficerExists(groupID)) continue;
+    const deadline = getExpiryDeadline(record);
+    if (now >= deadline) {
+      const daysSince = Math.floor((now - new Date(record['Timestamp'])) / (1000 * 60 * 60 * 24));
+      if (!transitionStatus(groupID, STATUS_EXPIRED, 'System', `No activity for ${daysSince} days`)) continue;
+      updateControlRow(groupID, { 'Locked': 'TRUE' });
+      sendTemplatedEmail('Expired', record['Email'], { Name: record['Name'], ApplicantName: record['Name'], GroupID: groupID });
       archiveApplication(groupID);
       logAction('Expired', `GroupID=${groupID}`);
       continue;
     }
-    const reminderData = {
-      'Loan ID': groupID,
-      'Applicant Name': row[cols.name - 1],
-      'Status': row[cols.status - 1]
-    };
-    const table = buildHtmlTableFromObject(reminderData);
-    const emails = [
-      { email: row[cols.guarantor1Email - 1], name: row[cols.guarantor1Name - 1], role: ROLE_GUARANTOR },
-      { email: row[cols.guarantor2Email - 1], name: row[cols.guarantor2Name - 1], role: ROLE_GUARANTOR },
-      { email: row[cols.financeOfficerEmail - 1], name: row[cols.financeOfficerName - 1], role: ROLE_FINANCE, linkCol: cols.financeLink }
-    ];
-    emails.forEach(({ email, name, role, linkCol }) => {
-      if (email && emailCount < 50) {
-        const link = linkCol ? row[linkCol - 1] : generatePrefilledLink(groupID, role, email);
-        if (link) {
-          sendEmail(email, `Reminder - ${groupID}`, 
-            `<p>Dear ${name},</p><p>${role === ROLE_FINANCE ? 'Please review' : 'Please submit details for'} loan application ${groupID}.</p>${table}<p><a href="${link}">${role === ROLE_FINANCE ? 'Review' : 'Submit'}</a></p>`);
-          emailCount++;
-        }
-      }
-    });
+    const daysLeft = Math.ceil((deadline - now) / (1000 * 60 * 60 * 24));
+    const outstanding = getOutstandingParties(record);
+    emailCount += sendPartyReminders(record, outstanding, ladder, now);
+    if (daysLeft <= getSetting('ESCALATION_DAYS') && !isEscalated(record, deadline)) {
+      emailCount += escalateExpiry(record, outstanding, daysLeft, deadline);
+    }
   }
-  logAction('Reminders', `Sent ${emailCount} reminders`);
+  emailCount += sendAssignmentReminders(awaitingAdmin, now);
+  logAction('Reminders', `Queued ${emailCount} reminders`);
 }
 
 /**
  * Notifies applicants of new Finance Officer assignments.
  */
 function notifyNewFinanceOfficerAssignments() {
-  const sheet = getControlSheet();
-  const data = sheet.getDataRange().getValues();
+  setAuditContext('Menu: Notify New Assignments');
+  const control = getTable(CONTROL_SHEET_NAME);
   const cols = {
-    groupID: getColumnIndex(sheet, 'GroupID'),
-    name: getColumnIndex(sheet, 'Name'),
-    email: getColumnIndex(sheet, 'Email'),
-    financeOfficerName: getColumnIndex(sheet, 'FinanceOfficerName'),
-    financeOfficerEmail: getColumnIndex(sheet, 'FinanceOfficerEmail'),
-    status: getColumnIndex(sheet, 'ApplicationStatus'),
-    notified: getColumnIndex(sheet, 'Notified')
+    groupID: control.col('GroupID'),
+    name: control.col('Name'),
+    email: control.col('Email'),
+    financeOfficerName: control.col('FinanceOfficerName'),
+    financeOfficerEmail: control.col('FinanceOfficerEmail'),
+    status: control.col('ApplicationStatus'),
+    notified: control.col('Notified')
   };
-  for (let i = 1; i < data.length; i++) {
-    const row = data[i];
+  for (const row of control.rows.slice()) {
     const groupID = row[cols.groupID - 1];
-    if (row[cols.notified - 1] === 'TRUE' || row[cols.status - 1] !== 'PendingFinanceOfficer' || !row[cols.financeOfficerEmail - 1]) continue;
+    if (row[cols.notified - 1] === 'TRUE' || row[cols.status - 1] !== STATUS_PENDING_FINANCE_OFFICER || !row[cols.financeOfficerEmail - 1]) continue;
     const link = generatePrefilledLink(groupID, ROLE_APPLICANT, row[cols.email - 1]);
     const table = buildHtmlTableFromObject({
       'Loan ID': groupID,
       'Applicant Name': row[cols.name - 1],
       'Finance Officer': row[cols.financeOfficerName - 1]
     });
-    sendEmail(
-      row[cols.email - 1],
-      `Finance Officer Assigned - ${groupID}`,
-      `<p>Dear ${row[cols.name - 1]},</p><p>A Finance Officer has been assigned to your loan application (GroupID: ${groupID}). You may now proceed.</p>${table}<p><a href="${link}">Submit Application</a></p>`
-    );
-    sheet.getRange(i + 1, cols.notified).setValue('TRUE');
+    sendTemplatedEmail('FinanceOfficerAssigned', row[cols.email - 1], {
+      Name: row[cols.name - 1],
+      ApplicantName: row[cols.name - 1],
+      GroupID: groupID,
+      FinanceOfficerName: row[cols.financeOfficerName - 1],
+      DetailsTable: table,
+      Link: link,
+      PortalHtml: buildPortalLinkHtml(groupID, ROLE_APPLICANT, row[cols.email - 1], row[cols.name - 1])
+    });
+    updateControlRow(groupID, { 'Notified': 'TRUE' });
     logAction('Notification', `Notified applicant for GroupID: ${groupID}`);
   }
 }
 
 /**
- * Archives a completed or expired application.
+ * Archives a completed or expired application, stamping ArchivedAt.
  * @param {string} groupID Group ID.
  */
 function archiveApplication(groupID) {
-  const controlSheet = getControlSheet();
-  const archiveSheet = getArchiveSheet();
-  const data = controlSheet.getDataRange().getValues();
-  const cols = { groupID: getColumnIndex(controlSheet, 'GroupID') };
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][cols.groupID - 1] === groupID) {
-      archiveSheet.appendRow(data[i]);
-      controlSheet.deleteRow(i + 1);
-      logAction('Archived', `GroupID: ${groupID}`);
-      break;
-    }
+  withScriptLock(() => {
+    const control = getTable(CONTROL_SHEET_NAME);
+    const row = control.find(groupID);
+    if (!row) return;
+    ensureControlHeaders(['ArchivedAt']);
+    getTable(ARCHIVE_SHEET_NAME).append(Object.assign(control.record(row), { 'ArchivedAt': new Date() }));
+    control.remove(row);
+    logAction('Archived', `GroupID: ${groupID}`);
+  });
+}
+
+/**
+ * Resets an application to PendingFinanceOfficer status, unlocked and with a fresh countdown.
+ * @param {string} groupID Group ID.
+ * @param {string} actor Admin email.
+ * @returns {string|null} Error message, or null if the group was reset.
+ */
+function resetApplication_(groupID, actor) {
+  const table = getTable(CONTROL_SHEET_NAME);
+  const row = table.find(groupID);
+  if (!row) {
+    logAction('Error', `Reset failed for GroupID: ${groupID}`);
+    return `GroupID ${groupID} not found`;
   }
+  const record = table.record(row);
+  if (!transitionStatus(groupID, STATUS_PENDING_FINANCE_OFFICER, actor, 'Manual reset')) {
+    return `GroupID ${groupID} cannot be reset from ${record['ApplicationStatus']}. Check logs.`;
+  }
+  const values = { 'Locked': 'FALSE', 'Notified': 'FALSE', 'Timestamp': new Date() };
+  if (record['ExtensionDays']) values['ExtensionDays'] = '';
+  updateControlRow(groupID, values);
+  logAction('Reset', `GroupID: ${groupID}`);
+  return null;
 }
 
 /**
  * Resets an application to PendingFinanceOfficer status.
  */
 function manualReset() {
+  setAuditContext('Menu: Reset Application');
+  requireAdmin_();
   const ui = SpreadsheetApp.getUi();
   const groupID = ui.prompt('Enter GroupID to reset').getResponseText();
-  const sheet = getControlSheet();
-  const data = sheet.getDataRange().getValues();
-  const cols = {
-    groupID: getColumnIndex(sheet, 'GroupID'),
-    status: getColumnIndex(sheet, 'ApplicationStatus'),
-    locked: getColumnIndex(sheet, 'Locked'),
-    notified: getColumnIndex(sheet, 'Notified'),
-    timestamp: getColumnIndex(sheet, 'Timestamp')
-  };
-  const rowIndex = data.findIndex(row => row[cols.groupID - 1] === groupID) + 1;
-  if (rowIndex === 0) {
-    ui.alert(`Error: GroupID ${groupID} not found`);
-    logAction('Error', `Reset failed for GroupID: ${groupID}`);
-    return;
+  const error = resetApplication_(groupID, getActiveUserEmail());
+  ui.alert(error ? `Error: ${error}` : `Success: GroupID ${groupID} reset to ${STATUS_PENDING_FINANCE_OFFICER}`);
+}
+
+// --- REPAYMENTS ---
+
+/**
+ * Parses a money amount typed into a form (e.g., "NGN 250,000.00").
+ * @param {string|number} value Amount as entered.
+ * @returns {number} Parsed amount, or 0 if unreadable.
+ */
+function parseAmount(value) {
+  const amount = parseFloat(String(value || '').replace(/[^0-9.]/g, ''));
+  return isNaN(amount) ? 0 : amount;
+}
+
+/**
+ * Parses a repayment period (e.g., "12", "12 months", "1.5 years") into months from its first
+ * number and the unit after it; anything after that, like "(1 year)", is ignored.
+ * @param {string|number} value Period as entered.
+ * @returns {number} Number of monthly installments, or 0 if unreadable or not a whole number of months.
+ */
+function parseRepaymentMonths(value) {
+  const match = /(\d+(?:\.\d+)?)\s*([a-z]*)/.exec(String(value || '').toLowerCase());
+  if (!match) return 0;
+  let months = parseFloat(match[1]);
+  if (/^(years?|yrs?)$/.test(match[2])) {
+    months *= 12;
+  } else if (match[2] && !/^(months?|mos?|mths?)$/.test(match[2])) {
+    return 0;
   }
-  sheet.getRange(rowIndex, cols.status, 1, 3).setValues([['PendingFinanceOfficer', 'FALSE', 'FALSE']]);
-  sheet.getRange(rowIndex, cols.timestamp).setValue(new Date());
-  ui.alert(`Success: GroupID ${groupID} reset to PendingFinanceOfficer`);
-  logAction('Reset', `GroupID: ${groupID}`);
+  return Number.isInteger(months) && months > 0 ? months : 0;
 }
 
 /**
- * Creates a custom menu in the spreadsheet.
+ * Rounds an amount to two decimal places.
+ * @param {number} value Amount.
+ * @returns {number} Rounded amount.
  */
-function onOpen() {
-  SpreadsheetApp.getUi()
-    .createMenu('CSULMCS Loan System')
-    .addItem('Set Up Form IDs', 'runSetUpFormIds')
-    .addItem('Set Up Triggers', 'setupTriggers')
-    .addItem('Notify New Assignments', 'notifyNewFinanceOfficerAssignments')
-    .addItem('Reset Application', 'manualReset')
-    .addToUi();
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
 }
 
 /**
- * Sets up triggers for the system.
+ * Adds calendar months to a date, keeping month-end dates inside the target month.
+ * @param {Date} date Start date.
+ * @param {number} months Months to add.
+ * @returns {Date} New date.
  */
-function setupTriggers() {
-  const triggers = [
-    { name: 'sendDailyReminders', type: 'timeBased', everyDays: 1, atHour: 8 },
-    { name: 'onIntentFormSubmit', type: 'formSubmit', formIdKey: 'LOAN_INTENT_FORM_ID' },
-    { name: 'onApplicationFormSubmit', type: 'formSubmit', formIdKey: 'LOAN_APPLICATION_FORM_ID' },
-    { name: 'syncParticipantDetails', type: 'formSubmit', formIdKey: 'LOAN_APPLICATION_FORM_ID' }
-  ];
-  triggers.forEach(trigger => {
-    if (!ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === trigger.name)) {
-      if (trigger.type === 'timeBased') {
-        ScriptApp.newTrigger(trigger.name)
-          .timeBased()
-          .everyDays(trigger.everyDays)
-          .atHour(trigger.atHour)
-          .create();
-        logAction('Success', `Created time-based trigger: ${trigger.name}`);
-      } else if (trigger.type === 'formSubmit') {
-        const formId = PropertiesService.getScriptProperties().getProperty(trigger.formIdKey);
-        if (formId) {
-          ScriptApp.newTrigger(trigger.name)
-            .forForm(formId)
-            .onFormSubmit()
-            .create();
-          logAction('Success', `Created form trigger: ${trigger.name}`);
-        } else {
-          logAction('Error', `Form ID not set for trigger: ${trigger.name}`);
-        }
-      }
+function addMonths(date, months) {
+  const start = new Date(date);
+  const target = new Date(start.getFullYear(), start.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(start.getDate(), lastDay));
+  return target;
+}
+
+/**
+ * Gets the interest rate and method from the settings.
+ * @returns {Object} { rate: annual percent, method: Flat or Reducing }.
+ */
+function getRepaymentSettings() {
+  return { rate: getSetting('LOAN_INTEREST_RATE'), method: getSetting('LOAN_INTEREST_METHOD') };
+}
+
+/**
+ * Builds an amortization schedule of monthly installments.
+ * Flat interest is charged on the original amount; reducing balance interest on what is still owed.
+ * @param {number} amount Loan principal.
+ * @param {number} months Number of monthly installments.
+ * @param {number} rate Annual interest rate in percent.
+ * @param {string} method Flat or Reducing.
+ * @param {Date} startDate Date the loan was approved; first installment falls due a month later.
+ * @returns {Object[]} Installments with number, dueDate, principal, interest, installment, balance.
+ */
+function buildRepaymentSchedule(amount, months, rate, method, startDate) {
+  const schedule = [];
+  const monthlyRate = rate / 100 / 12;
+  let balance = amount;
+  const flatInterest = roundMoney(amount * monthlyRate);
+  let payment = amount / months;
+  if (method === INTEREST_METHOD_REDUCING && monthlyRate > 0) {
+    payment = amount * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+  }
+  for (let n = 1; n <= months; n++) {
+    let interest, principal;
+    if (method === INTEREST_METHOD_REDUCING) {
+      interest = roundMoney(balance * monthlyRate);
+      principal = n === months ? balance : roundMoney(payment - interest);
+    } else {
+      interest = flatInterest;
+      principal = n === months ? balance : roundMoney(payment);
     }
-  });
-  logAction('Success', 'All triggers setup completed');
+    balance = roundMoney(balance - principal);
+    schedule.push({
+      number: n,
+      dueDate: addMonths(startDate, n),
+      principal: roundMoney(principal),
+      interest: interest,
+      installment: roundMoney(principal + interest),
+      balance: balance
+    });
+  }
+  return schedule;
+}
+
+/**
+ * Removes any existing schedule rows for a group, in contiguous runs from the bottom up.
+ * A group's installments are written together, so this is usually one deleteRows call.
+ * @param {string} groupID Group ID.
+ */
+function clearRepaymentSchedule(groupID) {
+  // Writes any pending posting first and drops the cached table, whose row positions the deletes would shift.
+  reloadTable(REPAYMENTS_SHEET_NAME);
+  const sheet = getRepaymentsSheet();
+  const data = sheet.getDataRange().getValues();
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (data[i][0] !== groupID) continue;
+    let start = i;
+    while (start > 1 && data[start - 1][0] === groupID) start--;
+    sheet.deleteRows(start + 1, i - start + 1);
+    i = start;
+  }
+}
+
+/**
+ * Generates and stores the repayment schedule for an approved group.
+ * @param {string} groupID Group ID.
+ * @param {string|number} loanAmount Loan amount as entered (LoanAmountFigures).
+ * @param {string|number} repaymentPeriod Repayment period as entered (RepaymentPeriod).
+ * @returns {Object|null} { amount, months, rate, method, schedule } or null if the loan terms are unreadable.
+ */
+function generateRepaymentSchedule(groupID, loanAmount, repaymentPeriod) {
+  const amount = parseAmount(loanAmount);
+  const months = parseRepaymentMonths(repaymentPeriod);
+  if (!amount || !months) {
+    logAction('Error', `Cannot build repayment schedule for GroupID: ${groupID} (Amount=${loanAmount}, Period=${repaymentPeriod})`);
+    return null;
+  }
+  const settings = getRepaymentSettings();
+  const schedule = buildRepaymentSchedule(amount, months, settings.rate, settings.method, new Date());
+  clearRepaymentSchedule(groupID);
+  const sheet = getRepaymentsSheet();
+  sheet.getRange(sheet.getLastRow() + 1, 1, schedule.length, 10).setValues(schedule.map(item => [
+    groupID, item.number, item.dueDate, item.principal, item.interest, item.installment, item.balance,
+    0, '', INSTALLMENT_DUE
+  ]));
+  logAction('Repayment Schedule', `GroupID: ${groupID}, Amount: ${amount}, Months: ${months}, Rate: ${settings.rate}%, Method: ${settings.method}`);
+  return { amount: amount, months: months, rate: settings.rate, method: settings.method, schedule: schedule };
+}
+
+/**
+ * Renders a repayment schedule as HTML for emails.
+ * @param {Object} result Result of generateRepaymentSchedule.
+ * @returns {string} Summary table followed by the installment table.
+ */
+function buildRepaymentScheduleHtml(result) {
+  const totalInterest = roundMoney(result.schedule.reduce((sum, item) => sum + item.interest, 0));
+  const summary = buildHtmlTableFromObject({
+    'Loan Amount': result.amount.toFixed(2),
+    'Repayment Period': `${result.months} months`,
+    'Interest Rate': `${result.rate}% per annum (${result.method})`,
+    'Total Interest': totalInterest.toFixed(2),
+    'Total Repayable': roundMoney(result.amount + totalInterest).toFixed(2)
+  });
+  const installments = buildHtmlTableFromRows(
+    ['No.', 'Due Date', 'Principal', 'Interest', 'Installment', 'Balance'],
+    result.schedule.map(item => [
+      item.number, formatDate(item.dueDate), item.principal.toFixed(2), item.interest.toFixed(2),
+      item.installment.toFixed(2), item.balance.toFixed(2)
+    ])
+  );
+  return `<p><strong>Repayment Schedule</strong></p>${summary}<br>${installments}`;
+}
+
+/**
+ * Gets the outstanding balance of every group with a schedule.
+ * @returns {Object} Outstanding balance keyed by GroupID.
+ */
+function getOutstandingBalances() {
+  const sheet = getRepaymentsSheet();
+  const data = sheet.getDataRange().getValues();
+  const cols = {
+    groupID: getColumnIndex(sheet, 'GroupID'),
+    installment: getColumnIndex(sheet, 'Installment'),
+    amountPaid: getColumnIndex(sheet, 'AmountPaid')
+  };
+  const balances = {};
+  data.slice(1).forEach(row => {
+    const groupID = row[cols.groupID - 1];
+    if (!groupID) return;
+    balances[groupID] = roundMoney((balances[groupID] || 0) + parseAmount(row[cols.installment - 1]) - parseAmount(row[cols.amountPaid - 1]));
+  });
+  return balances;
+}
+
+/**
+ * Gets the outstanding balance of a group's schedule.
+ * @param {string} groupID Group ID.
+ * @returns {number} Sum of unpaid installment amounts.
+ */
+function getOutstandingBalance(groupID) {
+  return getOutstandingBalances()[groupID] || 0;
+}
+
+/**
+ * Posts a payment to the ledger and allocates it to the oldest unpaid installments.
+ * Callers check that the user is an admin.
+ * @param {string} groupID Group ID.
+ * @param {string|number} amount Amount paid.
+ * @param {Date} paymentDate Date the member paid.
+ * @param {string} reference Bank or receipt reference.
+ * @param {string} source Where the payment came from (Menu or Import).
+ * @returns {Object} { success, message, outstanding }.
+ */
+function postRepayment_(groupID, amount, paymentDate, reference, source) {
+  const paid = parseAmount(amount);
+  if (!groupID || !paid) {
+    return { success: false, message: `Invalid payment: GroupID=${groupID}, Amount=${amount}` };
+  }
+  // Under the lock so two postings for the same group cannot both allocate against the same balance.
+  return withScriptLock(() => {
+    const table = getTable(REPAYMENTS_SHEET_NAME);
+    const cols = {
+      installment: table.col('Installment'),
+      amountPaid: table.col('AmountPaid'),
+      status: table.col('Status')
+    };
+    const unpaid = table.findAll(groupID).filter(row => row[cols.status - 1] !== INSTALLMENT_PAID);
+    if (unpaid.length === 0) {
+      return { success: false, message: `No unpaid installments for GroupID: ${groupID}` };
+    }
+    const outstanding = roundMoney(unpaid.reduce((sum, row) => sum + parseAmount(row[cols.installment - 1]) - parseAmount(row[cols.amountPaid - 1]), 0));
+    if (paid > outstanding) {
+      return { success: false, message: `Payment ${paid.toFixed(2)} exceeds outstanding balance ${outstanding.toFixed(2)} for GroupID: ${groupID}` };
+    }
+    let remaining = paid;
+    for (const row of unpaid) {
+      if (remaining <= 0) break;
+      const due = roundMoney(parseAmount(row[cols.installment - 1]) - parseAmount(row[cols.amountPaid - 1]));
+      const applied = Math.min(due, remaining);
+      remaining = roundMoney(remaining - applied);
+      const fullyPaid = applied >= due;
+      const changes = {
+        'AmountPaid': roundMoney(parseAmount(row[cols.amountPaid - 1]) + applied),
+        'Status': fullyPaid ? INSTALLMENT_PAID : INSTALLMENT_PART_PAID
+      };
+      if (fullyPaid) changes['PaidDate'] = paymentDate;
+      table.update(row, changes);
+    }
+    getTable(PAYMENTS_SHEET_NAME).append([new Date(), groupID, paid, paymentDate, reference || '', source]);
+    const balance = roundMoney(outstanding - paid);
+    logAction('Repayment', `GroupID: ${groupID}, Amount: ${paid.toFixed(2)}, Reference: ${reference || ''}, Outstanding: ${balance.toFixed(2)}`);
+    return { success: true, message: `Posted ${paid.toFixed(2)} to ${groupID}. Outstanding balance: ${balance.toFixed(2)}`, outstanding: balance };
+  });
+}
+
+/**
+ * Parses a payment date typed by an admin, defaulting to today.
+ * @param {string|Date} value Date as entered (e.g., 2025-06-30).
+ * @returns {Date} Payment date.
+ */
+function parsePaymentDate(value) {
+  const date = value ? new Date(value) : new Date();
+  return isNaN(date.getTime()) ? new Date() : date;
+}
+
+/**
+ * Posts a single payment from the menu.
+ */
+function manualPostRepayment() {
+  setAuditContext('Menu: Post Repayment');
+  requireAdmin_();
+  const ui = SpreadsheetApp.getUi();
+  const groupID = ui.prompt('Enter GroupID').getResponseText().trim();
+  const amount = ui.prompt('Enter amount paid').getResponseText();
+  const paymentDate = ui.prompt('Enter payment date (yyyy-MM-dd, blank for today)').getResponseText().trim();
+  const reference = ui.prompt('Enter payment reference').getResponseText().trim();
+  const result = postRepayment_(groupID, amount, parsePaymentDate(paymentDate), reference, 'Menu');
+  if (!result.success) {
+    ui.alert(`Error: ${result.message}`);
+    logAction('Error', result.message);
+    return;
+  }
+  ui.alert(`Success: ${result.message}`);
+}
+
+/**
+ * Posts every row of the PaymentImport sheet that has not been imported yet.
+ */
+function importRepayments() {
+  setAuditContext('Menu: Import Repayments');
+  requireAdmin_();
+  const sheet = getPaymentImportSheet();
+  const data = sheet.getDataRange().getValues();
+  let posted = 0;
+  let failed = 0;
+  withScriptLock(() => {
+    const statuses = data.slice(1).map(row => [row[4]]);
+    for (let i = 1; i < data.length; i++) {
+      const [groupID, amount, paymentDate, reference, importStatus] = data[i];
+      if (importStatus || !groupID) continue;
+      const result = postRepayment_(String(groupID).trim(), amount, parsePaymentDate(paymentDate), reference, 'Import');
+      statuses[i - 1][0] = result.success ? 'Posted' : `Error: ${result.message}`;
+      if (result.success) {
+        posted++;
+      } else {
+        failed++;
+        logAction('Error', result.message);
+      }
+    }
+    if (statuses.length > 0) sheet.getRange(2, 5, statuses.length, 1).setValues(statuses);
+    logAction('Repayment Import', `Posted: ${posted}, Failed: ${failed}`);
+  });
+  SpreadsheetApp.getUi().alert(`Import complete: ${posted} posted, ${failed} failed.`);
+}
+
+/**
+ * Flags overdue installments and sends overdue notices and guarantor liability warnings.
+ * Notices go out on the first day overdue and then every OVERDUE_NOTICE_INTERVAL_DAYS days;
+ * guarantors are warned on the day the oldest installment is OVERDUE_LIABILITY_DAYS days overdue
+ * and then every OVERDUE_NOTICE_INTERVAL_DAYS days after that.
+ * @param {Object} [e] Time-driven trigger event; absent when run from the menu.
+ */
+function processOverdueRepayments(e) {
+  setAuditContext(`${e ? 'Trigger' : 'Menu'}: processOverdueRepayments`);
+  const interval = getSetting('OVERDUE_NOTICE_INTERVAL_DAYS');
+  const liabilityDays = getSetting('OVERDUE_LIABILITY_DAYS');
+  const sheet = getRepaymentsSheet();
+  const data = sheet.getDataRange().getValues();
+  const cols = {
+    groupID: getColumnIndex(sheet, 'GroupID'),
+    number: getColumnIndex(sheet, 'InstallmentNo'),
+    dueDate: getColumnIndex(sheet, 'DueDate'),
+    installment: getColumnIndex(sheet, 'Installment'),
+    amountPaid: getColumnIndex(sheet, 'AmountPaid'),
+    status: getColumnIndex(sheet, 'Status')
+  };
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const overdueGroups = {};
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const dueDate = new Date(row[cols.dueDate - 1]);
+    dueDate.setHours(0, 0, 0, 0);
+    if (row[cols.status - 1] === INSTALLMENT_PAID || !(dueDate < today)) continue;
+    if (row[cols.status - 1] !== INSTALLMENT_OVERDUE) sheet.getRange(i + 1, cols.status).setValue(INSTALLMENT_OVERDUE);
+    const groupID = row[cols.groupID - 1];
+    const daysOverdue = Math.floor((today - dueDate) / (1000 * 60 * 60 * 24));
+    const group = overdueGroups[groupID] || (overdueGroups[groupID] = { daysOverdue: 0, amount: 0, installments: [] });
+    group.daysOverdue = Math.max(group.daysOverdue, daysOverdue);
+    group.amount = roundMoney(group.amount + parseAmount(row[cols.installment - 1]) - parseAmount(row[cols.amountPaid - 1]));
+    group.installments.push([row[cols.number - 1], formatDate(dueDate), daysOverdue]);
+  }
+
+  let noticeCount = 0;
+  Object.keys(overdueGroups).forEach(groupID => {
+    const group = overdueGroups[groupID];
+    const noticeDue = group.daysOverdue === 1 || group.daysOverdue % interval === 0;
+    const liabilityDue = group.daysOverdue >= liabilityDays && (group.daysOverdue - liabilityDays) % interval === 0;
+    if (!noticeDue && !liabilityDue) return;
+    const record = getGroupRecord(groupID);
+    if (!record) {
+      logAction('Error', `Overdue GroupID not found in Control or Archive: ${groupID}`);
+      return;
+    }
+    const table = buildHtmlTableFromObject({
+      'Loan ID': groupID,
+      'Applicant Name': record['Name'],
+      'Overdue Amount': group.amount.toFixed(2),
+      'Days Overdue': group.daysOverdue,
+      'Outstanding Balance': getOutstandingBalance(groupID).toFixed(2)
+    });
+    if (noticeDue) {
+      sendTemplatedEmail('RepaymentOverdue', record['Email'], {
+        Name: record['Name'],
+        ApplicantName: record['Name'],
+        GroupID: groupID,
+        DaysOverdue: group.daysOverdue,
+        DetailsTable: table,
+        InstallmentsTable: buildHtmlTableFromRows(['No.', 'Due Date', 'Days Overdue'], group.installments)
+      });
+      noticeCount++;
+    }
+    if (liabilityDue) {
+      [1, 2].forEach(num => {
+        const email = record[`Guarantor${num}Email`];
+        if (!email) return;
+        sendTemplatedEmail('GuarantorLiability', email, {
+          Name: record[`Guarantor${num}Name`],
+          ApplicantName: record['Name'],
+          GroupID: groupID,
+          DaysOverdue: group.daysOverdue,
+          DetailsTable: table
+        });
+        noticeCount++;
+      });
+      logAction('Liability Warning', `GroupID: ${groupID}, Days Overdue: ${group.daysOverdue}`);
+    }
+  });
+  logAction('Overdue Check', `Overdue groups: ${Object.keys(overdueGroups).length}, Notices sent: ${noticeCount}`);
+}
+
+// --- MEMBERS ---
+
+/**
+ * Gets or creates Members sheet, the society's membership register.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} Members sheet.
+ */
+function getMembersSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(MEMBERS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(MEMBERS_SHEET_NAME);
+  }
+  ensureHeaders(sheet, SHEET_SCHEMAS[MEMBERS_SHEET_NAME].headers);
+  return sheet;
+}
+
+/**
+ * Reads the Members register. A blank Status counts as Active and a blank Channel as Email.
+ * @returns {Object} Members keyed by normalised ID, each with id, name, email, phone, joinDate, status and channel.
+ */
+function getMembers() {
+  const table = getTable(MEMBERS_SHEET_NAME);
+  const col = header => table.col(header) - 1;
+  const members = {};
+  table.rows.forEach(row => {
+    const key = String(row[col('ID')]).trim().toUpperCase();
+    if (!key) return;
+    members[key] = {
+      id: row[col('ID')],
+      name: row[col('Name')],
+      email: row[col('Email')],
+      phone: row[col('Phone')],
+      joinDate: row[col('JoinDate')],
+      status: String(row[col('Status')]).trim() || MEMBER_STATUS_ACTIVE,
+      channel: parseChannel(row[col('Channel')])
+    };
+  });
+  return members;
+}
+
+/**
+ * Checks one participant against the Members register.
+ * @param {Object} person Participant with id and email.
+ * @param {Object} members Result of getMembers.
+ * @returns {string|null} Reason the participant is refused, or null if they are an active member.
+ */
+function checkMember(person, members) {
+  const member = members[String(person.id).trim().toUpperCase()];
+  if (!member) return 'Not found in the Members register';
+  if (member.email && String(person.email).trim().toLowerCase() !== String(member.email).trim().toLowerCase()) {
+    return 'Email does not match the Members register';
+  }
+  if (member.status.toUpperCase() !== MEMBER_STATUS_ACTIVE.toUpperCase()) return `Membership is ${member.status}`;
+  return null;
+}
+
+/**
+ * Checks a group's applicant and guarantors. Self-guaranteeing and naming the same guarantor twice
+ * are always refused; register checks are skipped (and logged) while the Members sheet is empty.
+ * @param {Object} applicant Applicant with id, name and email.
+ * @param {Object[]} guarantors Guarantors with id, name and email.
+ * @returns {Object[]} Problems with label, person and reason; empty if everyone passes.
+ */
+function checkParticipants(applicant, guarantors) {
+  const problems = [];
+  const key = id => String(id).trim().toUpperCase();
+  const people = [{ label: 'Applicant', person: applicant }]
+    .concat(guarantors.map((guarantor, i) => ({ label: `Guarantor ${i + 1}`, person: guarantor })));
+  guarantors.forEach((guarantor, i) => {
+    const label = `Guarantor ${i + 1}`;
+    if (key(guarantor.id) === key(applicant.id)) {
+      problems.push({ label: label, person: guarantor, reason: 'An applicant cannot guarantee their own loan' });
+    } else if (guarantors.slice(0, i).some(other => key(other.id) === key(guarantor.id))) {
+      problems.push({ label: label, person: guarantor, reason: 'The same member is named as both guarantors' });
+    }
+  });
+  const members = getMembers();
+  if (Object.keys(members).length === 0) {
+    logAction('Member Check', 'Members register is empty; participants not checked against it');
+    return problems;
+  }
+  people.forEach(({ label, person }) => {
+    const reason = checkMember(person, members);
+    if (reason) problems.push({ label: label, person: person, reason: reason });
+  });
+  return problems;
+}
+
+/**
+ * Renders member check problems as an HTML table for emails.
+ * @param {Object[]} problems Result of checkParticipants.
+ * @returns {string} HTML table.
+ */
+function buildMemberProblemsTable(problems) {
+  return buildHtmlTableFromObject(problems.reduce((obj, problem) => {
+    obj[`${problem.label}: ${problem.person.name} (${problem.person.id})`] = problem.reason;
+    return obj;
+  }, {}));
+}
+
+/**
+ * Gets how many whole months a member has belonged to the society, from their JoinDate.
+ * @param {string} memberId Cooperator ID.
+ * @returns {number} Months of membership, or 0 if unknown.
+ */
+function getMembershipMonths(memberId) {
+  const member = getMembers()[String(memberId).trim().toUpperCase()];
+  const joined = member && member.joinDate ? new Date(member.joinDate) : null;
+  if (!joined || isNaN(joined)) return 0;
+  const now = new Date();
+  const months = (now.getFullYear() - joined.getFullYear()) * 12 + now.getMonth() - joined.getMonth();
+  return Math.max(0, now.getDate() < joined.getDate() ? months - 1 : months);
+}
+
+// --- GUARANTOR EXPOSURE ---
+
+/**
+ * Gets the guarantor exposure limits from the settings.
+ * @returns {Object} { maxCount (0 = no limit), maxAmount (0 = no limit), mode: Reject or Flag }.
+ */
+function getGuarantorLimitSettings() {
+  return {
+    maxCount: getSetting('MAX_ACTIVE_GUARANTEES'),
+    maxAmount: getSetting('MAX_GUARANTEED_AMOUNT'),
+    mode: getSetting('GUARANTOR_LIMIT_MODE')
+  };
+}
+
+/**
+ * Counts the active guarantees and guaranteed amount of each member.
+ * Active means a Control group that has not expired, or an archived loan with an outstanding balance.
+ * @param {string[]} memberIds Cooperator IDs to check.
+ * @returns {Object} { count, amount, groupIDs } keyed by Cooperator ID.
+ */
+function getGuarantorExposures(memberIds) {
+  const exposures = {};
+  memberIds.forEach(id => exposures[id] = { count: 0, amount: 0, groupIDs: [] });
+  const addGuarantee = (memberId, groupID, amount) => {
+    const exposure = exposures[memberId];
+    if (!exposure || exposure.groupIDs.includes(groupID)) return;
+    exposure.groupIDs.push(groupID);
+    exposure.count++;
+    exposure.amount = roundMoney(exposure.amount + amount);
+  };
+
+  const control = getTable(CONTROL_SHEET_NAME);
+  const cols = {
+    groupID: control.col('GroupID'),
+    amount: control.col('LoanAmountFigures'),
+    guarantor1Id: control.col('Guarantor1ID'),
+    guarantor2Id: control.col('Guarantor2ID'),
+    status: control.col('ApplicationStatus')
+  };
+  const activeAmounts = {};
+  control.rows.forEach(row => {
+    if (!row[cols.groupID - 1] || row[cols.status - 1] === STATUS_EXPIRED) return;
+    const groupID = row[cols.groupID - 1];
+    activeAmounts[groupID] = parseAmount(row[cols.amount - 1]);
+    addGuarantee(row[cols.guarantor1Id - 1], groupID, activeAmounts[groupID]);
+    addGuarantee(row[cols.guarantor2Id - 1], groupID, activeAmounts[groupID]);
+  });
+  const intent = getTable(LOAN_INTENT_SHEET_NAME);
+  if (intent) {
+    intent.rows.forEach(row => {
+      if (row[6] === ROLE_GUARANTOR && activeAmounts.hasOwnProperty(row[1])) addGuarantee(row[2], row[1], activeAmounts[row[1]]);
+    });
+  }
+
+  const archive = getTable(ARCHIVE_SHEET_NAME);
+  const balances = getOutstandingBalances();
+  const archiveCols = {
+    groupID: archive.col('GroupID'),
+    guarantor1Id: archive.col('Guarantor1ID'),
+    guarantor2Id: archive.col('Guarantor2ID')
+  };
+  archive.rows.forEach(row => {
+    const groupID = row[archiveCols.groupID - 1];
+    if (!balances[groupID]) return;
+    addGuarantee(row[archiveCols.guarantor1Id - 1], groupID, balances[groupID]);
+    addGuarantee(row[archiveCols.guarantor2Id - 1], groupID, balances[groupID]);
+  });
+  return exposures;
+}
+
+/**
+ * Checks each guarantor against the exposure limits.
+ * @param {Object[]} guarantors Guarantors with id and name.
+ * @returns {Object[]} Refusals with guarantor and reason; empty if all are within limits.
+ */
+function checkGuarantorLimits(guarantors) {
+  const settings = getGuarantorLimitSettings();
+  const exposures = getGuarantorExposures(guarantors.map(g => g.id));
+  const refusals = [];
+  guarantors.forEach(guarantor => {
+    const exposure = exposures[guarantor.id];
+    if (settings.maxCount > 0 && exposure.count >= settings.maxCount) {
+      refusals.push({ guarantor: guarantor, reason: `already guarantees ${exposure.count} active loan(s) (limit ${settings.maxCount})` });
+    } else if (settings.maxAmount > 0 && exposure.amount >= settings.maxAmount) {
+      refusals.push({ guarantor: guarantor, reason: `already guarantees ${exposure.amount.toFixed(2)} in active loans (limit ${settings.maxAmount.toFixed(2)})` });
+    }
+  });
+  return refusals;
+}
+
+// --- FRAUD FLAGS ---
+
+/**
+ * Gets or creates Flags sheet (its sandbox copy in dry-run mode).
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} Flags sheet.
+ */
+function getFlagsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = getStateSheet(FLAGS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(getStateSheetName(FLAGS_SHEET_NAME));
+    sheet.getRange(1, 1, 1, 11).setValues([SHEET_SCHEMAS[FLAGS_SHEET_NAME].headers]);
+  }
+  return sheet;
+}
+
+/**
+ * Contact and bank details that must belong to one member only, with how each value is normalised
+ * before comparing (phones by their last 10 digits so 0803... and +234803... match; fewer than
+ * 7 digits is not a phone number and is ignored).
+ */
+const SHARED_DETAIL_CHECKS = [
+  {
+    type: 'SharedAccountNumber', field: 'account', label: 'Account number',
+    normalise: value => String(value).replace(/[^0-9A-Za-z]/g, '').toUpperCase()
+  },
+  {
+    type: 'SharedPhone', field: 'phone', label: 'Phone',
+    normalise: value => {
+      const digits = String(value).replace(/\D/g, '');
+      return digits.length >= 7 ? digits.slice(-10) : '';
+    }
+  },
+  { type: 'SharedEmail', field: 'email', label: 'Email', normalise: value => String(value).trim().toLowerCase() }
+];
+
+/**
+ * Lists every applicant and guarantor in Control, Archive and Intent with their contact details.
+ * Account numbers come from the applicant's Control or Archive row.
+ * @returns {Object[]} Entries { groupID, id, role, phone, email, account, applicantID }.
+ */
+function collectParticipantEntries() {
+  const entries = [];
+  [CONTROL_SHEET_NAME, ARCHIVE_SHEET_NAME].forEach(name => getTable(name).records().forEach(record => {
+    const groupID = record['GroupID'];
+    const applicantID = String(record['CooperatorID'] || '').trim().toUpperCase();
+    entries.push({ groupID: groupID, id: applicantID, role: ROLE_APPLICANT, phone: record['Phone'], email: record['Email'], account: record['AccountNumber'], applicantID: applicantID });
+    ['1', '2'].forEach(num => entries.push({
+      groupID: groupID, id: String(record[`Guarantor${num}ID`] || '').trim().toUpperCase(), role: ROLE_GUARANTOR,
+      phone: record[`Guarantor${num}Phone`], email: record[`Guarantor${num}Email`], account: '', applicantID: applicantID
+    }));
+  }));
+  const intent = getTable(LOAN_INTENT_SHEET_NAME);
+  if (intent) {
+    const applicants = {};
+    intent.rows.filter(row => row[6] === ROLE_APPLICANT).forEach(row => applicants[row[1]] = String(row[2]).trim().toUpperCase());
+    intent.rows.forEach(row => entries.push({
+      groupID: row[1], id: String(row[2] || '').trim().toUpperCase(), role: row[6], phone: row[4], email: row[5], account: '',
+      applicantID: applicants[row[1]] || ''
+    }));
+  }
+  return entries.filter(entry => entry.groupID && entry.id);
+}
+
+/**
+ * Looks for details shared between different members and for circular guarantees
+ * (A guarantees B while B guarantees A) involving the given groups. Every open (Control) group
+ * taking part in a finding is reported, so the other side is flagged straight away too.
+ * @param {string[]} [groupIDs] Groups to check; all of Control if omitted.
+ * @returns {Object[]} Findings { groupID, type, value, relatedGroups, details }.
+ */
+function detectFraudPatterns(groupIDs) {
+  const control = getTable(CONTROL_SHEET_NAME);
+  const open = new Set(control.rows.map(row => row[control.col('GroupID') - 1]));
+  const targets = groupIDs ? new Set(groupIDs) : open;
+  if (targets.size === 0) return [];
+  const entries = collectParticipantEntries();
+  const findings = [];
+
+  SHARED_DETAIL_CHECKS.forEach(check => {
+    const byValue = {};
+    entries.forEach(entry => {
+      const value = entry[check.field] ? check.normalise(entry[check.field]) : '';
+      if (!value) return;
+      (byValue[value] = byValue[value] || []).push(entry);
+    });
+    Object.keys(byValue).forEach(value => {
+      const users = byValue[value];
+      const ids = [...new Set(users.map(entry => entry.id))];
+      if (ids.length < 2) return;
+      const groups = [...new Set(users.map(entry => entry.groupID))];
+      if (!groups.some(groupID => targets.has(groupID))) return;
+      groups.filter(groupID => open.has(groupID)).forEach(groupID => findings.push({
+        groupID: groupID,
+        type: check.type,
+        value: value,
+        relatedGroups: groups.filter(other => other !== groupID),
+        details: `${check.label} ${value} is used by ${ids.join(', ')}`
+      }));
+    });
+  });
+
+  const guarantees = {};
+  entries.filter(entry => entry.role === ROLE_GUARANTOR && entry.applicantID && entry.applicantID !== entry.id).forEach(entry => {
+    const key = `${entry.id}>${entry.applicantID}`;
+    (guarantees[key] = guarantees[key] || new Set()).add(entry.groupID);
+  });
+  Object.keys(guarantees).forEach(key => {
+    const [guarantor, applicant] = key.split('>');
+    const reverse = guarantees[`${applicant}>${guarantor}`];
+    if (!reverse || ![...guarantees[key], ...reverse].some(groupID => targets.has(groupID))) return;
+    guarantees[key].forEach(groupID => {
+      if (!open.has(groupID)) return;
+      findings.push({
+        groupID: groupID,
+        type: 'CircularGuarantee',
+        value: [guarantor, applicant].sort().join('<->'),
+        relatedGroups: [...reverse],
+        details: `${guarantor} guarantees ${applicant} here while ${applicant} guarantees ${guarantor} in ${[...reverse].join(', ')}`
+      });
+    });
+  });
+
+  const seen = new Set();
+  return findings.filter(finding => {
+    const flagID = `${finding.groupID}:${finding.type}:${finding.value}`;
+    if (seen.has(flagID)) return false;
+    seen.add(flagID);
+    return true;
+  });
+}
+
+/**
+ * Runs detection for the given groups and records new findings in the Flags sheet. A finding that
+ * was flagged before (open or cleared) is not raised again. Admins are emailed about new flags.
+ * @param {string[]} [groupIDs] Groups to check; all of Control if omitted.
+ * @returns {number} New flags raised.
+ */
+function flagFraudPatterns(groupIDs) {
+  return withScriptLock(() => {
+    const flags = getTable(FLAGS_SHEET_NAME);
+    const raised = [];
+    detectFraudPatterns(groupIDs).forEach(finding => {
+      const flagID = `${finding.groupID}:${finding.type}:${finding.value}`;
+      if (flags.find(flagID)) return;
+      flags.append({
+        'FlagID': flagID,
+        'CreatedAt': new Date(),
+        'GroupID': finding.groupID,
+        'Type': finding.type,
+        'Value': finding.value,
+        'RelatedGroups': finding.relatedGroups.join(', '),
+        'Details': finding.details,
+        'Status': FLAG_OPEN
+      });
+      raised.push(finding);
+      logAction('Flag Raised', `GroupID: ${finding.groupID}, ${finding.type}: ${finding.details}`);
+    });
+    if (raised.length > 0) {
+      const table = buildHtmlTableFromRows(['Loan ID', 'Type', 'Details', 'Related Groups'],
+        raised.map(finding => [finding.groupID, finding.type, finding.details, finding.relatedGroups.join(', ')]));
+      getAdminEmails().forEach(email => sendTemplatedEmail('FlagRaised', email, { Name: 'Admin', Count: raised.length, FlagsTable: table }));
+    }
+    return raised.length;
+  });
+}
+
+/**
+ * Nightly detection pass over every open group.
+ * @param {Object} [e] Time-driven trigger event; absent when run from the editor.
+ */
+function scanForFraud(e) {
+  setAuditContext(`${e ? 'Trigger' : 'Menu'}: scanForFraud`);
+  const count = flagFraudPatterns();
+  logAction('Fraud Scan', `Checked ${getTable(CONTROL_SHEET_NAME).rows.length} open group(s), raised ${count} new flag(s)`);
+}
+
+/**
+ * Gets a group's open flags.
+ * @param {string} groupID Group ID.
+ * @returns {Object[]} Flags records.
+ */
+function getOpenFlags(groupID) {
+  const flags = getTable(FLAGS_SHEET_NAME);
+  return flags.records().filter(flag => flag['GroupID'] === groupID && flag['Status'] === FLAG_OPEN);
+}
+
+/**
+ * Clears every open flag on a group so its Finance review can go ahead. Admins only; the signed-in
+ * admin is recorded as ClearedBy.
+ * @param {string} groupID Group ID.
+ * @param {string} note Why the flags were cleared.
+ * @returns {Object} { count } or { error }.
+ */
+function clearFlags(groupID, note) {
+  const actor = requireAdmin_();
+  if (!String(note || '').trim()) return { error: 'Give a reason for clearing the flags' };
+  return withScriptLock(() => {
+    const flags = getTable(FLAGS_SHEET_NAME);
+    const open = flags.rows.filter(row => row[flags.col('GroupID') - 1] === groupID && row[flags.col('Status') - 1] === FLAG_OPEN);
+    if (open.length === 0) return { error: `GroupID ${groupID} has no open flags` };
+    open.forEach(row => flags.update(row, { 'Status': FLAG_CLEARED, 'ClearedBy': actor, 'ClearedAt': new Date(), 'Note': String(note).trim() }));
+    logAction('Flag Cleared', `GroupID: ${groupID}, ${open.length} flag(s), By: ${actor}, Note: ${String(note).trim()}`);
+    return { count: open.length };
+  });
+}
+
+/**
+ * Clears a group's open flags from the menu.
+ */
+function manualClearFlags() {
+  setAuditContext('Menu: Clear Flags');
+  requireAdmin_();
+  const ui = SpreadsheetApp.getUi();
+  const groupID = ui.prompt('Enter GroupID whose flags to clear').getResponseText().trim().toUpperCase();
+  if (!groupID) return;
+  const note = ui.prompt('Why are these flags safe to clear?').getResponseText();
+  const result = clearFlags(groupID, note);
+  ui.alert(result.error ? `Error: ${result.error}` : `Success: ${result.count} flag(s) cleared on GroupID ${groupID}`);
+}
+
+// --- ELIGIBILITY RULES ---
+
+/**
+ * Gets or creates EligibilityRules sheet, seeded with the cooperative's default policy.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} EligibilityRules sheet.
+ */
+function getEligibilityRulesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(ELIGIBILITY_RULES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(ELIGIBILITY_RULES_SHEET_NAME);
+    sheet.getRange(1, 1, 5, 5).setValues([
+      SHEET_SCHEMAS[ELIGIBILITY_RULES_SHEET_NAME].headers,
+      ['R1', 'Loan amount must not exceed 2x the applicant savings balance', 'MaxLoanToBalanceRatio', 2, 'TRUE'],
+      ['R2', 'Applicant must have been a member for at least 6 months', 'MinMembershipMonths', 6, 'TRUE'],
+      ['R3', 'Each guarantor balance must be at least 50% of the loan amount', 'MinGuarantorBalanceRatio', 0.5, 'TRUE'],
+      ['R4', 'Repayment period must not exceed 24 months', 'MaxRepaymentMonths', 24, 'TRUE']
+    ]);
+  }
+  return sheet;
+}
+
+/**
+ * Rule evaluators keyed by rule Type. Each receives the loan facts and the rule Value,
+ * and returns { pass, detail }.
+ */
+const ELIGIBILITY_EVALUATORS = {
+  MaxLoanToBalanceRatio: (facts, value) => ({
+    pass: facts.loanAmount <= facts.applicantBalance * value,
+    detail: `Loan ${facts.loanAmount.toFixed(2)} vs ${value}x balance ${facts.applicantBalance.toFixed(2)}`
+  }),
+  MinMembershipMonths: (facts, value) => ({
+    pass: facts.membershipMonths >= value,
+    detail: `Membership ${facts.membershipMonths} months, minimum ${value}`
+  }),
+  MinGuarantorBalanceRatio: (facts, value) => {
+    const required = facts.loanAmount * value;
+    return {
+      pass: facts.guarantor1Balance >= required && facts.guarantor2Balance >= required,
+      detail: `Guarantor balances ${facts.guarantor1Balance.toFixed(2)} / ${facts.guarantor2Balance.toFixed(2)}, required ${required.toFixed(2)} each`
+    };
+  },
+  MaxRepaymentMonths: (facts, value) => ({
+    pass: facts.repaymentMonths > 0 && facts.repaymentMonths <= value,
+    detail: `Repayment period ${facts.repaymentMonths} months, maximum ${value}`
+  }),
+  MinApplicantRating: (facts, value) => ({
+    pass: facts.applicantRating >= value,
+    detail: `Applicant rating ${facts.applicantRating}, minimum ${value}`
+  })
+};
+
+/**
+ * Evaluates every active rule in the EligibilityRules sheet.
+ * @param {Object} facts Loan facts: loanAmount, repaymentMonths, applicantBalance, applicantRating,
+ *     guarantor1Balance, guarantor2Balance, membershipMonths.
+ * @returns {Object} { passed, outcomes: [{ ruleID, description, pass, detail }] }.
+ */
+function evaluateEligibility(facts) {
+  const rules = getEligibilityRulesSheet().getDataRange().getValues().slice(1);
+  const outcomes = [];
+  rules.forEach(([ruleID, description, type, value, active]) => {
+    if (!ruleID || String(active).toUpperCase() !== 'TRUE') return;
+    const evaluator = ELIGIBILITY_EVALUATORS[type];
+    if (!evaluator) {
+      logAction('Error', `Unknown eligibility rule type '${type}' for rule ${ruleID}`);
+      outcomes.push({ ruleID: ruleID, description: description, pass: false, detail: `Unknown rule type: ${type}` });
+      return;
+    }
+    const result = evaluator(facts, parseFloat(value) || 0);
+    outcomes.push({ ruleID: ruleID, description: description, pass: result.pass, detail: result.detail });
+  });
+  return { passed: outcomes.every(outcome => outcome.pass), outcomes: outcomes };
+}
+
+/**
+ * Writes rule outcomes to a group's Control row.
+ * @param {string} groupID Group ID.
+ * @param {Object} eligibility Result of evaluateEligibility.
+ */
+function recordEligibility(groupID, eligibility) {
+  ensureControlHeaders(['EligibilityResult', 'EligibilityDetails']);
+  const details = eligibility.outcomes.map(outcome => `${outcome.ruleID}: ${outcome.pass ? 'Pass' : 'Fail'} (${outcome.detail})`).join('; ');
+  updateControlRow(groupID, { 'EligibilityResult': eligibility.passed ? 'Pass' : 'Fail', 'EligibilityDetails': details });
+}
+
+/**
+ * Renders rule outcomes as HTML for emails.
+ * @param {Object} eligibility Result of evaluateEligibility.
+ * @returns {string} Eligibility table.
+ */
+function buildEligibilityHtml(eligibility) {
+  const rows = eligibility.outcomes.map(outcome => [outcome.ruleID, outcome.description, outcome.pass ? 'Pass' : 'Fail', outcome.detail]);
+  return `<p><strong>Eligibility Check: ${eligibility.passed ? 'Passed' : 'Failed'}</strong></p>${buildHtmlTableFromRows(['Rule', 'Description', 'Result', 'Details'], rows)}`;
+}
+
+// --- APPROVAL STAGES ---
+
+/**
+ * Gets or creates ApprovalStages sheet, seeded with the committee and disbursement stages.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} ApprovalStages sheet.
+ */
+function getApprovalStagesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(APPROVAL_STAGES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(APPROVAL_STAGES_SHEET_NAME);
+    sheet.getRange(1, 1, 3, 7).setValues([
+      SHEET_SCHEMAS[APPROVAL_STAGES_SHEET_NAME].headers,
+      [1, 'Committee', 'Loan Committee', '', '', 2, 'TRUE'],
+      [2, 'Disbursement', 'Treasurer', '', '', 2, 'TRUE']
+    ]);
+  }
+  return sheet;
+}
+
+/**
+ * Reads the active approval stages that follow finance review.
+ * @returns {Object[]} Stages in order with name, role, assignees ({ name, email }) and reminderDays.
+ */
+function getApprovalStages() {
+  const splitList = value => String(value || '').split(',').map(item => item.trim());
+  return getApprovalStagesSheet().getDataRange().getValues().slice(1)
+    .filter(row => row[1] && row[2] && String(row[6]).toUpperCase() === 'TRUE')
+    .sort((a, b) => a[0] - b[0])
+    .map(row => {
+      const names = splitList(row[3]);
+      return {
+        name: row[1],
+        role: row[2],
+        assignees: splitList(row[4]).filter(email => email).map((email, i) => ({ name: names[i] || email, email: email })),
+        reminderDays: parseInt(row[5], 10) || 1
+      };
+    });
+}
+
+/**
+ * Writes values to a group's Control row by header.
+ * @param {string} groupID Group ID.
+ * @param {Object} values Values keyed by header.
+ * @returns {number} 1-based row written, or 0 if the group is not in Control.
+ */
+function updateControlRow(groupID, values) {
+  return withScriptLock(() => {
+    const table = getTable(CONTROL_SHEET_NAME);
+    const row = table.find(groupID);
+    if (!row) return 0;
+    table.update(row, values);
+    return table.rows.indexOf(row) + 2;
+  });
+}
+
+/**
+ * Emails a stage's assignees asking for their decision.
+ * @param {string} groupID Group ID.
+ * @param {Object} stage Stage from getApprovalStages.
+ * @param {Object} record Group's Control record.
+ * @param {boolean} isReminder True for a daily reminder rather than the first request.
+ * @returns {number} Emails sent.
+ */
+function notifyStageAssignees(groupID, stage, record, isReminder) {
+  if (stage.assignees.length === 0) {
+    logAction('Error', `No assignees for approval stage ${stage.name}, GroupID: ${groupID}`);
+    return 0;
+  }
+  const table = buildHtmlTableFromObject({
+    'Loan ID': groupID,
+    'Applicant Name': record['Name'],
+    'Loan Amount (Figures)': record['LoanAmountFigures'],
+    'Repayment Period': record['RepaymentPeriod'],
+    'Finance Review': record['Status'],
+    'Eligibility': record['EligibilityResult'],
+    'Previous Decisions': record['StageDecisions'],
+    'Stage': stage.name
+  });
+  stage.assignees.forEach(assignee => {
+    const link = generatePrefilledLink(groupID, stage.role, assignee.email);
+    sendTemplatedEmail(isReminder ? 'ApprovalReminder' : 'ApprovalRequired', assignee.email, {
+      Name: assignee.name,
+      ApplicantName: record['Name'],
+      GroupID: groupID,
+      Stage: stage.name,
+      DetailsTable: table,
+      Link: link
+    });
+  });
+  return stage.assignees.length;
+}
+
+/**
+ * Emails the applicant and guarantors about the final outcome of a group.
+ * @param {Object} record Group's Control record.
+ * @param {string} event Email template event.
+ * @param {Object} values Extra placeholder values for everyone.
+ * @param {Object} applicantValues Extra placeholder values only the applicant receives (e.g., the schedule).
+ * @param {string[]} [attachmentIds] Drive file IDs attached for everyone (e.g., the loan agreement).
+ */
+function notifyGroupOutcome(record, event, values, applicantValues, attachmentIds) {
+  const table = buildHtmlTableFromObject({
+    'Loan ID': record['GroupID'],
+    'Applicant Name': record['Name'],
+    'Loan Amount (Figures)': record['LoanAmountFigures'],
+    'Decisions': record['StageDecisions']
+  });
+  [
+    { email: record['Email'], name: record['Name'], extra: applicantValues || {} },
+    { email: record['Guarantor1Email'], name: record['Guarantor1Name'], extra: {} },
+    { email: record['Guarantor2Email'], name: record['Guarantor2Name'], extra: {} }
+  ].filter(person => person.email).forEach(person => {
+    sendTemplatedEmail(event, person.email, Object.assign({
+      Name: person.name,
+      ApplicantName: record['Name'],
+      GroupID: record['GroupID'],
+      DetailsTable: table
+    }, values, person.extra), attachmentIds);
+  });
+}
+
+/**
+ * Moves a finance-reviewed group into the first approval stage, or finishes it.
+ * Denied reviews are rejected and archived; with no stages configured, approved groups complete at once.
+ * @param {string} groupID Group ID.
+ * @param {string} decision Finance decision (Approved or Denied).
+ * @param {string} actor Finance Officer email.
+ */
+function startApprovalStages(groupID, decision, actor) {
+  if (decision !== 'Approved') {
+    if (transitionStatus(groupID, STATUS_REJECTED, actor, `Finance review: ${decision || 'Not approved'}`)) {
+      clearRepaymentSchedule(groupID);
+      discardLoanAgreement(groupID);
+      archiveApplication(groupID);
+    }
+    return;
+  }
+  const stages = getApprovalStages();
+  if (stages.length === 0) {
+    completeApprovedLoan(groupID, actor, 'Finance approved; no further stages');
+    return;
+  }
+  ensureControlHeaders(['CurrentStage', 'StageStartedAt', 'StageDecisions']);
+  if (!transitionStatus(groupID, STATUS_PENDING_APPROVAL, actor, `Awaiting ${stages[0].name}`)) return;
+  updateControlRow(groupID, { 'CurrentStage': stages[0].name, 'StageStartedAt': new Date() });
+  notifyStageAssignees(groupID, stages[0], getGroupRecord(groupID), false);
+  logAction('Approval Stage', `GroupID: ${groupID}, Stage: ${stages[0].name} started`);
+}
+
+/**
+ * Handles an Application Form submission from an approval stage role.
+ * @param {string} groupID Group ID.
+ * @param {Object} stage Stage whose role submitted the form.
+ * @param {string} email Submitter email.
+ * @param {string} decision Approved or Denied.
+ * @param {string} comments Submitter comments.
+ */
+function handleApprovalStageSubmission(groupID, stage, email, decision, comments) {
+  const record = getGroupRecord(groupID);
+  if (!record || record['ApplicationStatus'] !== STATUS_PENDING_APPROVAL || record['CurrentStage'] !== stage.name) {
+    logAction('Error', `Blocked: ${stage.role} decision for GroupID: ${groupID} is not awaiting ${stage.name}`);
+    return;
+  }
+  if (stage.assignees.length > 0 && !stage.assignees.some(assignee => assignee.email.toLowerCase() === String(email).toLowerCase())) {
+    logAction('Error', `Blocked: ${email} is not an assignee of ${stage.name} for GroupID: ${groupID}`);
+    return;
+  }
+  if (!['Approved', 'Denied'].includes(decision)) {
+    logAction('Error', `Invalid ${stage.name} decision '${decision}' for GroupID: ${groupID}`);
+    return;
+  }
+  const entry = `${stage.name}: ${decision} by ${email} on ${formatDate(new Date())}${comments ? ` (${comments})` : ''}`;
+  const decisions = record['StageDecisions'] ? `${record['StageDecisions']}; ${entry}` : entry;
+  updateControlRow(groupID, { 'StageDecisions': decisions });
+  record['StageDecisions'] = decisions;
+  logAction('Approval Stage', `GroupID: ${groupID}, ${entry}`);
+
+  if (decision === 'Denied') {
+    if (!transitionStatus(groupID, STATUS_REJECTED, email, `${stage.name} denied`)) return;
+    clearRepaymentSchedule(groupID);
+    discardLoanAgreement(groupID);
+    notifyGroupOutcome(record, 'ApplicationRejected', { Stage: stage.name });
+    archiveApplication(groupID);
+    return;
+  }
+
+  const stages = getApprovalStages();
+  const next = stages[stages.findIndex(s => s.name === stage.name) + 1];
+  if (next) {
+    if (!transitionStatus(groupID, STATUS_PENDING_APPROVAL, email, `${stage.name} approved; awaiting ${next.name}`)) return;
+    updateControlRow(groupID, { 'CurrentStage': next.name, 'StageStartedAt': new Date() });
+    notifyStageAssignees(groupID, next, record, false);
+    return;
+  }
+
+  updateControlRow(groupID, { 'CurrentStage': '' });
+  completeApprovedLoan(groupID, email, `${stage.name} approved; all stages complete`);
+}
+
+/**
+ * Completes a group on its final approval: the last stage, or finance when no stages are configured.
+ * Only then are the repayment schedule and loan agreement generated and sent with the LoanApproved email,
+ * before archiving.
+ * @param {string} groupID Group ID.
+ * @param {string} actor Email of the final approver.
+ * @param {string} reason Reason recorded in StatusHistory.
+ */
+function completeApprovedLoan(groupID, actor, reason) {
+  if (!transitionStatus(groupID, STATUS_COMPLETED, actor, reason)) return;
+  const record = getGroupRecord(groupID);
+  const repayment = generateRepaymentSchedule(groupID, record['LoanAmountFigures'], record['RepaymentPeriod']);
+  const agreement = generateLoanAgreement(groupID, repayment);
+  notifyGroupOutcome(record, 'LoanApproved', {}, { ScheduleTable: repayment ? buildRepaymentScheduleHtml(repayment) : '' },
+    agreement ? [agreement.getId()] : []);
+  archiveApplication(groupID);
+}
+
+/**
+ * Reminds stage assignees of groups waiting on them, every ReminderDays days.
+ * @param {Object} record Group's Control record.
+ * @returns {number} Emails sent.
+ */
+function sendStageReminders(record) {
+  const stage = getApprovalStages().find(s => s.name === record['CurrentStage']);
+  if (!stage) {
+    logAction('Error', `Unknown approval stage '${record['CurrentStage']}' for GroupID: ${record['GroupID']}`);
+    return 0;
+  }
+  const daysSince = Math.floor((new Date() - new Date(record['StageStartedAt'])) / (1000 * 60 * 60 * 24));
+  if (daysSince <= 0 || daysSince % stage.reminderDays !== 0) return 0;
+  return notifyStageAssignees(record['GroupID'], stage, record, true);
+}
+
+// --- GUARANTOR CONSENT ---
+
+/**
+ * Gets when a group's countdown ends: REMINDER_DAYS after the applicant submission,
+ * plus any days an admin has granted in ExtensionDays.
+ * @param {Object} record Group's Control record.
+ * @returns {Date} Deadline.
+ */
+function getApplicationDeadline(record) {
+  return getCountdownEnd(record, record['Timestamp']);
+}
+
+/**
+ * Gets when one guarantor's countdown ends. A replacement guarantor's countdown runs from their
+ * RequestedAt, so they get a full REMINDER_DAYS window without moving anyone else's deadline.
+ * @param {Object} record Group's Control record.
+ * @param {string} num Guarantor slot ('1' or '2').
+ * @returns {Date} Deadline, never earlier than the group's.
+ */
+function getGuarantorDeadline(record, num) {
+  const own = getCountdownEnd(record, record[`Guarantor${num}RequestedAt`] || record['Timestamp']);
+  const group = getApplicationDeadline(record);
+  return own > group ? own : group;
+}
+
+/**
+ * Gets when a group expires: its own deadline, held open while an outstanding replacement
+ * guarantor's countdown is still running.
+ * @param {Object} record Group's Control record.
+ * @returns {Date} Expiry date.
+ */
+function getExpiryDeadline(record) {
+  return getOutstandingParties(record).reduce((latest, party) => party.deadline > latest ? party.deadline : latest,
+    getApplicationDeadline(record));
+}
+
+/**
+ * Adds REMINDER_DAYS and the group's ExtensionDays to a countdown start.
+ * @param {Object} record Group's Control record.
+ * @param {Date|string} start Countdown start; now if blank or unreadable.
+ * @returns {Date} Countdown end.
+ */
+function getCountdownEnd(record, start) {
+  const time = start ? new Date(start).getTime() : NaN;
+  const days = getSetting('REMINDER_DAYS') + (parseInt(record['ExtensionDays'], 10) || 0);
+  return new Date((isNaN(time) ? Date.now() : time) + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Records a guarantor's refusal and asks the applicant to nominate a replacement.
+ * @param {string} groupID Group ID.
+ * @param {string} guarantorNum Guarantor slot ('1' or '2').
+ * @param {string} reason Reason given by the guarantor.
+ * @param {Object} financeOfficer Assigned Finance Officer.
+ */
+function handleGuarantorDecline(groupID, guarantorNum, reason, financeOfficer) {
+  const record = getGroupRecord(groupID);
+  updateControlRow(groupID, { [`Guarantor${guarantorNum}Consent`]: CONSENT_DECLINED });
+  const guarantorName = record[`Guarantor${guarantorNum}Name`];
+  const link = generatePrefilledLink(groupID, ROLE_REPLACEMENT, record['Email']);
+  const table = buildHtmlTableFromObject({
+    'Loan ID': groupID,
+    'Guarantor': `${guarantorName} (${record[`Guarantor${guarantorNum}ID`]})`,
+    'Reason': reason
+  });
+  const values = {
+    ApplicantName: record['Name'],
+    GroupID: groupID,
+    GuarantorName: guarantorName,
+    GuarantorNum: guarantorNum,
+    DetailsTable: table
+  };
+  sendTemplatedEmail('GuarantorDeclined', record['Email'], Object.assign({}, values, { Name: record['Name'], Link: link }));
+  sendTemplatedEmail('DeclineReceived', record[`Guarantor${guarantorNum}Email`], Object.assign({}, values, { Name: guarantorName }));
+  if (financeOfficer.email) {
+    sendTemplatedEmail('GuarantorDeclinedNotice', financeOfficer.email, Object.assign({}, values, { Name: financeOfficer.name }));
+  }
+  logAction('Guarantor Declined', `GroupID: ${groupID}, Guarantor ${guarantorNum}: ${guarantorName}, Reason: ${reason}`);
+}
+
+/**
+ * Replaces every declined guarantor of a group with the one the applicant nominated,
+ * updating the Intent and Control rows and restarting only that guarantor's countdown.
+ * @param {string} groupID Group ID.
+ * @param {Object} data Parsed Application Form data.
+ * @param {string} submitterEmail Email the form was submitted with.
+ */
+function handleGuarantorReplacement(groupID, data, submitterEmail) {
+  const record = getGroupRecord(groupID);
+  if (!record || record['ApplicationStatus'] !== STATUS_APPLICANT_SUBMITTED || record['Locked'] === 'TRUE') {
+    logAction('Error', `Blocked: replacement guarantor for GroupID: ${groupID} (not awaiting guarantors)`);
+    return;
+  }
+  if (String(submitterEmail).toLowerCase() !== String(record['Email']).toLowerCase()) {
+    logAction('Error', `Blocked: replacement guarantor for GroupID: ${groupID} submitted by ${submitterEmail}, not the applicant`);
+    return;
+  }
+  const declinedSlots = ['1', '2'].filter(num => record[`Guarantor${num}Consent`] === CONSENT_DECLINED);
+  if (declinedSlots.length === 0) {
+    logAction('Error', `Blocked: GroupID: ${groupID} has no declined guarantor to replace`);
+    return;
+  }
+  const intent = getTable(LOAN_INTENT_SHEET_NAME);
+  const key = id => String(id).trim().toUpperCase();
+  declinedSlots.forEach(num => {
+    const replacement = {
+      id: data[`guarantor${num}Id`],
+      name: data[`guarantor${num}Name`],
+      email: data[`guarantor${num}Email`],
+      phone: data[`guarantor${num}Phone`]
+    };
+    const otherNum = num === '1' ? '2' : '1';
+    if (!replacement.id || !replacement.email) {
+      logAction('Error', `Incomplete replacement for Guarantor ${num}, GroupID: ${groupID}`);
+      return;
+    }
+    if ([record['CooperatorID'], record[`Guarantor${otherNum}ID`], record[`Guarantor${num}ID`]].map(key).includes(key(replacement.id))) {
+      logAction('Error', `Invalid replacement for Guarantor ${num}, GroupID: ${groupID}: ${replacement.id} is already a participant`);
+      return;
+    }
+    const members = getMembers();
+    const memberReason = Object.keys(members).length > 0 ? checkMember(replacement, members) : null;
+    if (memberReason) {
+      sendTemplatedEmail('ReplacementNotAccepted', record['Email'], {
+        Name: record['Name'],
+        ApplicantName: record['Name'],
+        GroupID: groupID,
+        GuarantorName: replacement.name,
+        Reason: `failed the membership check (${memberReason})`
+      });
+      logAction('Member Check', `Rejected replacement for GroupID: ${groupID}: ${replacement.id}: ${memberReason}`);
+      return;
+    }
+    const refusals = checkGuarantorLimits([replacement]);
+    if (refusals.length > 0 && getGuarantorLimitSettings().mode === GUARANTOR_LIMIT_REJECT) {
+      sendTemplatedEmail('ReplacementNotAccepted', record['Email'], {
+        Name: record['Name'],
+        ApplicantName: record['Name'],
+        GroupID: groupID,
+        GuarantorName: replacement.name,
+        Reason: refusals[0].reason
+      });
+      logAction('Guarantor Limit', `Rejected replacement for GroupID: ${groupID}: ${replacement.id} ${refusals[0].reason}`);
+      return;
+    }
+    if (refusals.length > 0) {
+      const replacementNote = `${replacement.name} (${replacement.id}) ${refusals[0].reason}`;
+      const previousNote = record['GuarantorLimitNote'];
+      ensureControlHeaders(['GuarantorLimitNote']);
+      updateControlRow(groupID, {
+        'GuarantorLimitNote': previousNote ? `${previousNote}; ${replacementNote}` : `Guarantor limit exceeded: ${replacementNote}`
+      });
+      logAction('Guarantor Limit', `Flagged replacement for GroupID: ${groupID}: ${replacementNote}`);
+    }
+    const previousId = record[`Guarantor${num}ID`];
+    const intentRow = intent ? intent.findAll(groupID).find(row => key(row[2]) === key(previousId) && row[6] === ROLE_GUARANTOR) : null;
+    if (intentRow) {
+      [replacement.id, replacement.name, replacement.phone, replacement.email].forEach((value, i) => intent.set(intentRow, 3 + i, value));
+    }
+    updateControlRow(groupID, {
+      [`Guarantor${num}Name`]: replacement.name,
+      [`Guarantor${num}ID`]: replacement.id,
+      [`Guarantor${num}Email`]: replacement.email,
+      [`Guarantor${num}Phone`]: replacement.phone,
+      [`Guarantor${num}Consent`]: CONSENT_PENDING,
+      [`Guarantor${num}RequestedAt`]: new Date(),
+      [`Guarantor${num}SubmittedAt`]: ''
+    });
+    const link = generatePrefilledLink(groupID, ROLE_GUARANTOR, replacement.email);
+    const table = buildHtmlTableFromObject({
+      'Loan ID': groupID,
+      'Applicant Name': record['Name'],
+      'Loan Amount (Figures)': record['LoanAmountFigures'],
+      'Repayment Period': record['RepaymentPeriod']
+    });
+    sendTemplatedEmail('GuarantorNominated', replacement.email, {
+      Name: replacement.name,
+      ApplicantName: record['Name'],
+      GroupID: groupID,
+      DetailsTable: table,
+      Link: link,
+      PortalHtml: buildPortalLinkHtml(groupID, ROLE_GUARANTOR, replacement.email, replacement.name)
+    });
+    sendTemplatedEmail('ReplacementAdded', record['Email'], {
+      Name: record['Name'],
+      ApplicantName: record['Name'],
+      GroupID: groupID,
+      GuarantorName: replacement.name,
+      PreviousGuarantorName: record[`Guarantor${num}Name`]
+    });
+    logAction('Guarantor Replaced', `GroupID: ${groupID}, Guarantor ${num}: ${previousId} -> ${replacement.id}`);
+  });
+}
+
+// --- REMINDER ESCALATION ---
+
+/**
+ * Gets or creates ReminderLadder sheet, seeded with a three-step ladder.
+ * Each row applies while the days left before expiry are at most its DaysLeft.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} ReminderLadder sheet.
+ */
+function getReminderLadderSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(REMINDER_LADDER_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(REMINDER_LADDER_SHEET_NAME);
+    sheet.getRange(1, 1, 4, 3).setValues([
+      SHEET_SCHEMAS[REMINDER_LADDER_SHEET_NAME].headers,
+      [7, 'Reminder', 'Please act on this application by {{Deadline}}.'],
+      [3, 'Urgent', 'Only {{DaysLeft}} day(s) remain before this application expires on {{Deadline}}.'],
+      [1, 'Final Notice', 'This application expires on {{Deadline}}. Please act today or it will be closed.']
+    ]);
+  }
+  return sheet;
+}
+
+/**
+ * Reads the reminder ladder, mildest step last. Rows without a whole DaysLeft or an Urgency are
+ * logged and skipped; an empty ladder falls back to a plain reminder.
+ * @returns {Object[]} Steps { daysLeft, urgency, message } sorted by DaysLeft ascending.
+ */
+function getReminderLadder() {
+  const steps = [];
+  getReminderLadderSheet().getDataRange().getValues().slice(1).forEach(([daysLeft, urgency, message], i) => {
+    if (daysLeft === '' && !urgency) return;
+    const days = Number(daysLeft);
+    if (!Number.isInteger(days) || days < 0 || !String(urgency).trim()) {
+      logAction('Error', `Invalid reminder ladder row ${i + 2}: DaysLeft '${daysLeft}', Urgency '${urgency}'`);
+      return;
+    }
+    steps.push({ daysLeft: days, urgency: String(urgency).trim(), message: String(message || '') });
+  });
+  if (steps.length === 0) steps.push({ daysLeft: Infinity, urgency: 'Reminder', message: '' });
+  return steps.sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+/**
+ * Picks the ladder step for the days left: the closest step at or above them, else the mildest step.
+ * @param {Object[]} ladder Result of getReminderLadder.
+ * @param {number} daysLeft Whole days before expiry.
+ * @returns {Object} Ladder step.
+ */
+function getReminderStep(ladder, daysLeft) {
+  return ladder.find(step => step.daysLeft >= daysLeft) || ladder[ladder.length - 1];
+}
+
+/**
+ * Lists the guarantors and Finance Officer who still have to act on a group. Guarantors who have
+ * submitted or declined are left out (a declined slot waits on the applicant's replacement).
+ * @param {Object} record Group's Control record.
+ * @returns {Object[]} Parties { label, name, email, role, link, deadline }.
+ */
+function getOutstandingParties(record) {
+  const parties = [];
+  ['1', '2'].forEach(num => {
+    const consent = record[`Guarantor${num}Consent`];
+    if (record[`Guarantor${num}SubmittedAt`] || consent === CONSENT_ACCEPTED || consent === CONSENT_DECLINED) return;
+    parties.push({
+      label: `Guarantor ${num}`,
+      name: record[`Guarantor${num}Name`],
+      email: record[`Guarantor${num}Email`],
+      role: ROLE_GUARANTOR,
+      link: () => generatePrefilledLink(record['GroupID'], ROLE_GUARANTOR, record[`Guarantor${num}Email`]),
+      deadline: getGuarantorDeadline(record, num)
+    });
+  });
+  if (!record['Status']) {
+    parties.push({
+      label: 'Finance Officer',
+      name: record['FinanceOfficerName'],
+      email: record['FinanceOfficerEmail'],
+      role: ROLE_FINANCE,
+      link: () => record['FinanceLink'],
+      deadline: getApplicationDeadline(record)
+    });
+  }
+  return parties;
+}
+
+/**
+ * Sends each outstanding party the reminder for today's ladder step of their own countdown.
+ * Parties whose countdown has ended are skipped.
+ * @param {Object} record Group's Control record.
+ * @param {Object[]} parties Result of getOutstandingParties.
+ * @param {Object[]} ladder Result of getReminderLadder.
+ * @param {Date} now Current time.
+ * @returns {number} Emails sent.
+ */
+function sendPartyReminders(record, parties, ladder, now) {
+  const groupID = record['GroupID'];
+  let count = 0;
+  parties.forEach(party => {
+    const daysLeft = Math.ceil((party.deadline - now) / (1000 * 60 * 60 * 24));
+    const link = party.email && daysLeft > 0 ? party.link() : '';
+    if (!link) return;
+    const step = getReminderStep(ladder, daysLeft);
+    const values = { GroupID: groupID, ApplicantName: record['Name'], DaysLeft: daysLeft, Deadline: formatDate(party.deadline) };
+    const table = buildHtmlTableFromObject({
+      'Loan ID': groupID,
+      'Applicant Name': record['Name'],
+      'Status': record['ApplicationStatus'],
+      'Expires On': values.Deadline
+    });
+    sendTemplatedEmail(party.role === ROLE_FINANCE ? 'ReviewReminder' : 'Reminder', party.email, Object.assign({}, values, {
+      Name: party.name,
+      Urgency: step.urgency,
+      UrgencyMessage: renderTemplate(step.message, values, false),
+      DetailsTable: table,
+      Link: link
+    }));
+    count++;
+  });
+  return count;
+}
+
+/**
+ * Checks whether a group has already been escalated for its current deadline.
+ * Extending or restarting the countdown moves the deadline, so it is escalated again.
+ * @param {Object} record Group's Control record.
+ * @param {Date} deadline Expiry date.
+ * @returns {boolean} True if already escalated.
+ */
+function isEscalated(record, deadline) {
+  return !!record['EscalatedDeadline'] && new Date(record['EscalatedDeadline']).getTime() === deadline.getTime();
+}
+
+/**
+ * Gets the admin addresses for escalations: the ADMIN_EMAILS setting, else the script owner.
+ * @returns {string[]} Email addresses.
+ */
+function getAdminEmails() {
+  const emails = String(getSetting('ADMIN_EMAILS')).split(',').map(email => email.trim()).filter(email => email);
+  return emails.length > 0 ? emails : [Session.getEffectiveUser().getEmail()].filter(email => email);
+}
+
+/**
+ * Tells the admins and the applicant that a group is about to expire and who has not acted,
+ * then records the deadline so the escalation is sent once.
+ * @param {Object} record Group's Control record.
+ * @param {Object[]} parties Result of getOutstandingParties.
+ * @param {number} daysLeft Whole days before expiry.
+ * @param {Date} deadline Expiry date.
+ * @returns {number} Emails sent.
+ */
+function escalateExpiry(record, parties, daysLeft, deadline) {
+  const groupID = record['GroupID'];
+  const outstanding = parties.map(party => `${party.label} (${party.name || party.email || 'not yet named'})`).join(', ') || 'None';
+  const values = {
+    GroupID: groupID,
+    ApplicantName: record['Name'],
+    DaysLeft: daysLeft,
+    Deadline: formatDate(deadline),
+    Outstanding: outstanding,
+    DetailsTable: buildHtmlTableFromObject({
+      'Loan ID': groupID,
+      'Applicant Name': record['Name'],
+      'Finance Officer': record['FinanceOfficerName'],
+      'Expires On': formatDate(deadline)
+    }),
+    ProgressTable: buildHtmlTableFromObject(getPartyProgress(record))
+  };
+  const admins = getAdminEmails();
+  admins.forEach(email => sendTemplatedEmail('ExpiryEscalation', email, Object.assign({ Name: 'Admin' }, values)));
+  sendTemplatedEmail('ExpiryWarning', record['Email'], Object.assign({
+    Name: record['Name'],
+    PortalHtml: buildPortalLinkHtml(groupID, ROLE_APPLICANT, record['Email'], record['Name'])
+  }, values));
+  updateControlRow(groupID, { 'EscalatedDeadline': deadline });
+  logAction('Escalation', `GroupID: ${groupID}, ${daysLeft} day(s) left, outstanding: ${outstanding}`);
+  return admins.length + 1;
+}
+
+/**
+ * Checks whether a PendingFinanceOfficer group is due a reminder: every PENDING_REMINDER_DAYS
+ * days since its intent was received.
+ * @param {Object} record Group's Control record.
+ * @param {Date} now Current time.
+ * @returns {boolean} True if a reminder is due today.
+ */
+function isPendingReminderDue(record, now) {
+  const daysWaiting = getDaysWaiting(record, now);
+  return daysWaiting > 0 && daysWaiting % getSetting('PENDING_REMINDER_DAYS') === 0;
+}
+
+/**
+ * Gets whole days since a group's intent (or last reset).
+ * @param {Object} record Group's Control record.
+ * @param {Date} now Current time.
+ * @returns {number} Days waiting, or 0 if the Timestamp is missing.
+ */
+function getDaysWaiting(record, now) {
+  const since = new Date(record['Timestamp']);
+  return isNaN(since) ? 0 : Math.floor((now - since) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Gets the applicant of a group that may not have submitted the Application Form yet,
+ * from Control if it has been filled in, else from the Intent tab.
+ * @param {Object} record Group's Control record.
+ * @returns {Object} { id, name, email } (blank if unknown).
+ */
+function getPendingApplicant(record) {
+  if (record['Email']) return { id: record['CooperatorID'], name: record['Name'], email: record['Email'] };
+  const intent = getTable(LOAN_INTENT_SHEET_NAME);
+  const row = intent ? intent.findAll(record['GroupID']).find(r => r[6] === ROLE_APPLICANT) : null;
+  return row ? { id: row[2], name: row[3], email: row[5] } : { id: '', name: '', email: '' };
+}
+
+/**
+ * Reminds an applicant who has a Finance Officer but has not submitted the Application Form.
+ * @param {Object} record Group's Control record.
+ * @param {Date} now Current time.
+ * @returns {number} Emails sent.
+ */
+function sendApplicantReminder(record, now) {
+  const groupID = record['GroupID'];
+  const applicant = getPendingApplicant(record);
+  const link = applicant.email ? generatePrefilledLink(groupID, ROLE_APPLICANT, applicant.email) : '';
+  if (!link) return 0;
+  sendTemplatedEmail('ApplicantReminder', applicant.email, {
+    Name: applicant.name,
+    GroupID: groupID,
+    FinanceOfficerName: record['FinanceOfficerName'],
+    DaysWaiting: getDaysWaiting(record, now),
+    DetailsTable: buildHtmlTableFromObject({
+      'Loan ID': groupID,
+      'Applicant Name': applicant.name,
+      'Finance Officer': record['FinanceOfficerName']
+    }),
+    Link: link,
+    PortalHtml: buildPortalLinkHtml(groupID, ROLE_APPLICANT, applicant.email, applicant.name)
+  });
+  return 1;
+}
+
+/**
+ * Sends the admins one digest of the groups waiting on them: those without a Finance Officer,
+ * and those whose applicant has not yet been sent the assignment notice.
+ * @param {Object[]} records Control records due a reminder.
+ * @param {Date} now Current time.
+ * @returns {number} Emails sent.
+ */
+function sendAssignmentReminders(records, now) {
+  if (records.length === 0) return 0;
+  const table = buildHtmlTableFromRows(
+    ['Loan ID', 'Applicant Name', 'Cooperator ID', 'Days Waiting', 'Waiting For'],
+    records.map(record => {
+      const applicant = getPendingApplicant(record);
+      return [
+        record['GroupID'], applicant.name, applicant.id, getDaysWaiting(record, now),
+        record['FinanceOfficerEmail'] ? 'Notify New Assignments' : 'Finance Officer'
+      ];
+    })
+  );
+  const admins = getAdminEmails();
+  admins.forEach(email => sendTemplatedEmail('AssignmentReminder', email, { Name: 'Admin', Count: records.length, GroupsTable: table }));
+  logAction('Assignment Reminder', `${records.length} group(s) awaiting admin action: ${records.map(record => record['GroupID']).join(', ')}`);
+  return admins.length;
+}
+
+// --- EMAIL TEMPLATES ---
+
+/**
+ * Built-in email templates keyed by event. They seed the EmailTemplates sheet and are used
+ * whenever an event has no row there or its Subject/Body/Text cell is blank. Text is the plain
+ * short version sent to members who get SMS or WhatsApp messages.
+ * {{Name}} is always the recipient; {{ReminderDays}} is available to every template.
+ */
+const DEFAULT_EMAIL_TEMPLATES = {
+  IntentNotAccepted: {
+    subject: 'Loan Intent Not Accepted',
+    body: '<p>Dear {{Name}},</p><p>Your loan intent could not be accepted because the following guarantor(s) have reached their guarantee limit. Kindly choose another guarantor and submit the Intent Form again.</p>{{DetailsTable}}',
+    text: 'CSULMCS: Dear {{Name}}, your loan intent was not accepted because a guarantor has reached their limit. Please choose another guarantor.'
+  },
+  IntentReceived: {
+    subject: 'Loan Intent Submitted - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Your loan intent (GroupID: {{GroupID}}) has been received. Please wait for Finance Officer assignment before proceeding.</p>{{DetailsTable}}<p>Application Form: <a href="{{Link}}">Click here</a></p>{{PortalHtml}}',
+    text: 'CSULMCS: Dear {{Name}}, your loan intent {{GroupID}} has been received. We will email you once a Finance Officer is assigned.'
+  },
+  FinanceOfficerAssigned: {
+    subject: 'Finance Officer Assigned - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>A Finance Officer has been assigned to your loan application (GroupID: {{GroupID}}). You may now proceed.</p>{{DetailsTable}}<p><a href="{{Link}}">Submit Application</a></p>{{PortalHtml}}',
+    text: 'CSULMCS: Dear {{Name}}, a Finance Officer has been assigned to loan {{GroupID}}. Please submit your application using the link in your email.'
+  },
+  MemberCheckFailed: {
+    subject: 'Loan Intent Not Accepted',
+    body: '<p>Dear {{Name}},</p><p>Your loan intent could not be accepted because the details below do not match our membership records. Kindly correct them and submit the Intent Form again, or contact the admin if you believe the records are wrong.</p>{{DetailsTable}}',
+    text: 'CSULMCS: Dear {{Name}}, your loan intent was not accepted because your details do not match our membership records. See your email.'
+  },
+  ApplicationMemberCheckFailed: {
+    subject: 'Application Not Accepted - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Your submission for GroupID: {{GroupID}} could not be accepted because the details below do not match our membership records. Kindly correct them and submit the Application Form again, or contact the admin if you believe the records are wrong.</p>{{DetailsTable}}',
+    text: 'CSULMCS: Dear {{Name}}, your submission for loan {{GroupID}} was not accepted because your details do not match our membership records. See your email.'
+  },
+  SubmissionBlocked: {
+    subject: 'Submission Blocked - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>No Finance Officer assigned for GroupID: {{GroupID}}. Please contact the admin.</p>',
+    text: 'CSULMCS: Dear {{Name}}, no Finance Officer is assigned to loan {{GroupID}} yet. Please contact the admin.'
+  },
+  ActiveLoanBlocked: {
+    subject: 'Submission Blocked - Active Loan',
+    body: '<p>Dear {{Name}},</p><p>You have an active loan application. Please contact the admin.</p>',
+    text: 'CSULMCS: Dear {{Name}}, you already have an active loan application. Please contact the admin.'
+  },
+  ApplicationLocked: {
+    subject: 'Application Locked - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Application {{GroupID}} is locked. Please contact the admin.</p>',
+    text: 'CSULMCS: Dear {{Name}}, loan application {{GroupID}} is locked. Please contact the admin.'
+  },
+  ApplicationSubmitted: {
+    subject: 'Application Submitted - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Your application (GroupID: {{GroupID}}) has been submitted.</p>{{DetailsTable}}<p>Edit: <a href="{{Link}}">Click here</a></p>{{PortalHtml}}',
+    text: 'CSULMCS: Dear {{Name}}, your loan application {{GroupID}} has been submitted.'
+  },
+  ActionRequired: {
+    subject: 'Action Required - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Please submit details for {{ApplicantName}}\'s loan (GroupID: {{GroupID}}).</p>{{DetailsTable}}<p><a href="{{Link}}">Submit</a></p>{{PortalHtml}}',
+    text: 'CSULMCS: Dear {{Name}}, please submit your details for {{ApplicantName}}\'s loan {{GroupID}}. The link is in your email.'
+  },
+  ReviewRequired: {
+    subject: 'Review Application - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Please review {{ApplicantName}}\'s loan application (GroupID: {{GroupID}}).</p>{{DetailsTable}}<p><a href="{{Link}}">Review</a></p>{{PortalHtml}}',
+    text: 'CSULMCS: Dear {{Name}}, please review {{ApplicantName}}\'s loan application {{GroupID}}. The link is in your email.'
+  },
+  DetailsSubmitted: {
+    subject: 'Details Submitted - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Your details for {{ApplicantName}}\'s loan (GroupID: {{GroupID}}) have been submitted.</p>{{DetailsTable}}',
+    text: 'CSULMCS: Dear {{Name}}, your details for {{ApplicantName}}\'s loan {{GroupID}} have been submitted.'
+  },
+  GuarantorSubmitted: {
+    subject: 'Guarantor {{GuarantorNum}} Submitted - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>{{GuarantorName}} has submitted details for GroupID: {{GroupID}}.</p>{{DetailsTable}}',
+    text: 'CSULMCS: Dear {{Name}}, {{GuarantorName}} has submitted guarantor details for loan {{GroupID}}.'
+  },
+  Reviewed: {
+    subject: 'Application Reviewed - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Loan application {{GroupID}} has been reviewed. Status: {{Decision}}.</p>{{DetailsTable}}{{EligibilityTable}}',
+    text: 'CSULMCS: Dear {{Name}}, loan application {{GroupID}} has been reviewed. Status: {{Decision}}.'
+  },
+  Reminder: {
+    subject: '{{Urgency}} - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Please submit details for {{ApplicantName}}\'s loan application {{GroupID}}. {{UrgencyMessage}}</p>{{DetailsTable}}<p><a href="{{Link}}">Submit</a></p>',
+    text: 'CSULMCS {{Urgency}}: Dear {{Name}}, please submit your details for {{ApplicantName}}\'s loan {{GroupID}}. The link is in your email.'
+  },
+  ReviewReminder: {
+    subject: '{{Urgency}} - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Please review {{ApplicantName}}\'s loan application {{GroupID}}. {{UrgencyMessage}}</p>{{DetailsTable}}<p><a href="{{Link}}">Review</a></p>',
+    text: 'CSULMCS {{Urgency}}: Dear {{Name}}, please review {{ApplicantName}}\'s loan application {{GroupID}}. The link is in your email.'
+  },
+  ExpiryEscalation: {
+    subject: 'Expiring in {{DaysLeft}} Day(s) - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>{{ApplicantName}}\'s loan application {{GroupID}} expires on {{Deadline}}. Still waiting on: {{Outstanding}}.</p>{{DetailsTable}}<h3>Submissions</h3>{{ProgressTable}}<p>Use Manage Group to extend the deadline or reassign the Finance Officer.</p>',
+    text: 'CSULMCS: Loan application {{GroupID}} expires on {{Deadline}}. Still waiting on: {{Outstanding}}.'
+  },
+  ExpiryWarning: {
+    subject: 'Your Application Expires Soon - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Your loan application {{GroupID}} will expire on {{Deadline}} unless the following submit their details: {{Outstanding}}. Kindly follow up with them or contact the admin.</p>{{DetailsTable}}<h3>Submissions</h3>{{ProgressTable}}{{PortalHtml}}',
+    text: 'CSULMCS: Dear {{Name}}, your loan application {{GroupID}} expires on {{Deadline}}. Still waiting on: {{Outstanding}}.'
+  },
+  ApplicantReminder: {
+    subject: 'Reminder - Submit Your Application - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Your loan intent (GroupID: {{GroupID}}) was received {{DaysWaiting}} day(s) ago and {{FinanceOfficerName}} has been assigned as your Finance Officer, but your application has not been submitted yet.</p>{{DetailsTable}}<p><a href="{{Link}}">Submit Application</a></p>{{PortalHtml}}',
+    text: 'CSULMCS: Dear {{Name}}, your loan application {{GroupID}} has not been submitted yet. The link is in your email.'
+  },
+  AssignmentReminder: {
+    subject: '{{Count}} Loan Intent(s) Awaiting Admin Action',
+    body: '<p>Dear {{Name}},</p><p>The following loan intents cannot proceed yet. Assign a Finance Officer from Manage Group, or run Notify New Assignments so the applicant receives the Application Form.</p>{{GroupsTable}}',
+    text: 'CSULMCS: {{Count}} loan intent(s) are waiting for admin action. See your email.'
+  },
+  FlagRaised: {
+    subject: '{{Count}} New Flag(s) Need Review',
+    body: '<p>Dear {{Name}},</p><p>The checks below found details shared between different members or circular guarantees. The Finance review of each group is blocked until an admin clears its flags (Clear Flags in the menu, or Manage Group).</p>{{FlagsTable}}',
+    text: 'CSULMCS: {{Count}} new flag(s) need review before Finance review can continue. See your email.'
+  },
+  FinanceReviewBlocked: {
+    subject: 'Finance Review Blocked - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>The Finance review of {{ApplicantName}}\'s loan application (GroupID: {{GroupID}}) was not saved because the group has open flags. Nothing from the review was recorded. Once an admin clears the flags (Clear Flags in the menu, or Manage Group), submit the review again.</p>{{FlagsTable}}',
+    text: 'CSULMCS: The Finance review of {{GroupID}} was not saved because the group has open flags. See your email.'
+  },
+  ApplicationReopened: {
+    subject: 'Application Reopened - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Your loan application (GroupID: {{GroupID}}) has been reopened. Your guarantors and Finance Officer have been sent fresh links where they still need to act, and the application now expires on {{Deadline}}.</p>{{DetailsTable}}<h3>Submissions</h3>{{ProgressTable}}<p>Edit: <a href="{{Link}}">Click here</a></p>{{PortalHtml}}',
+    text: 'CSULMCS: Dear {{Name}}, your loan application {{GroupID}} has been reopened and now expires on {{Deadline}}.'
+  },
+  IntentReopened: {
+    subject: 'Loan Intent Reopened - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Your loan intent (GroupID: {{GroupID}}) has been reopened. Please wait for the Finance Officer assignment email before submitting the Application Form.</p>{{PortalHtml}}',
+    text: 'CSULMCS: Dear {{Name}}, your loan intent {{GroupID}} has been reopened. Please wait for the Finance Officer assignment email.'
+  },
+  LinkResent: {
+    subject: 'Your Form Link - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>As requested, here is your {{Role}} link for loan application {{GroupID}}.</p>{{DetailsTable}}<p><a href="{{Link}}">Open Form</a></p>{{PortalHtml}}',
+    text: 'CSULMCS: Dear {{Name}}, your {{Role}} link for loan {{GroupID}} has been sent to your email.'
+  },
+  Expired: {
+    subject: 'Application Expired - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Your application (GroupID: {{GroupID}}) has expired due to inactivity.</p>',
+    text: 'CSULMCS: Dear {{Name}}, your loan application {{GroupID}} has expired due to inactivity.'
+  },
+  ApprovalRequired: {
+    subject: '{{Stage}} Approval Required - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Kindly review {{ApplicantName}}\'s loan application (GroupID: {{GroupID}}) for the {{Stage}} stage and submit your decision.</p>{{DetailsTable}}<p><a href="{{Link}}">Submit Decision</a></p>',
+    text: 'CSULMCS: Dear {{Name}}, {{ApplicantName}}\'s loan {{GroupID}} needs your {{Stage}} approval. The link is in your email.'
+  },
+  ApprovalReminder: {
+    subject: 'Reminder - {{Stage}} Approval Required - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Kindly review {{ApplicantName}}\'s loan application (GroupID: {{GroupID}}) for the {{Stage}} stage and submit your decision.</p>{{DetailsTable}}<p><a href="{{Link}}">Submit Decision</a></p>',
+    text: 'CSULMCS Reminder: Dear {{Name}}, {{ApplicantName}}\'s loan {{GroupID}} still needs your {{Stage}} approval. The link is in your email.'
+  },
+  ApplicationRejected: {
+    subject: 'Application Rejected - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>We regret to inform you that loan application {{GroupID}} was not approved at the {{Stage}} stage.</p>{{DetailsTable}}',
+    text: 'CSULMCS: Dear {{Name}}, loan application {{GroupID}} was not approved at the {{Stage}} stage.'
+  },
+  LoanApproved: {
+    subject: 'Loan Approved - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Loan application {{GroupID}} has completed all approval stages and the loan has been approved for disbursement.</p>{{DetailsTable}}{{ScheduleTable}}',
+    text: 'CSULMCS: Dear {{Name}}, loan application {{GroupID}} has been approved for disbursement.'
+  },
+  RepaymentOverdue: {
+    subject: 'Repayment Overdue - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Your loan repayment for GroupID: {{GroupID}} is overdue. Kindly pay the overdue amount as soon as possible.</p>{{DetailsTable}}<br>{{InstallmentsTable}}',
+    text: 'CSULMCS: Dear {{Name}}, your repayment for loan {{GroupID}} is overdue. Please pay as soon as possible.'
+  },
+  GuarantorLiability: {
+    subject: 'Guarantor Liability Notice - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>{{ApplicantName}}\'s loan (GroupID: {{GroupID}}), which you guaranteed, has been overdue for {{DaysOverdue}} days. As a guarantor you may be held liable for the outstanding amount. Kindly encourage the applicant to pay or contact the Finance Team.</p>{{DetailsTable}}',
+    text: 'CSULMCS: Dear {{Name}}, {{ApplicantName}}\'s loan {{GroupID}}, which you guaranteed, is {{DaysOverdue}} days overdue. You may be held liable.'
+  },
+  GuarantorDeclined: {
+    subject: 'Guarantor Declined - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>{{GuarantorName}} has declined to guarantee your loan application (GroupID: {{GroupID}}). Kindly nominate a replacement guarantor within {{ReminderDays}} days by filling in the new guarantor\'s details in the Guarantor {{GuarantorNum}} fields.</p>{{DetailsTable}}<p><a href="{{Link}}">Nominate Replacement</a></p>',
+    text: 'CSULMCS: Dear {{Name}}, {{GuarantorName}} declined to guarantee loan {{GroupID}}. Please nominate a replacement within {{ReminderDays}} days.'
+  },
+  GuarantorDeclinedNotice: {
+    subject: 'Guarantor Declined - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>{{GuarantorName}} has declined to guarantee loan application {{GroupID}}. The applicant has been asked to nominate a replacement.</p>{{DetailsTable}}',
+    text: 'CSULMCS: {{GuarantorName}} declined to guarantee loan {{GroupID}}. The applicant has been asked to nominate a replacement.'
+  },
+  DeclineReceived: {
+    subject: 'Decline Received - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>Thank you for letting us know. Your decision not to guarantee loan application {{GroupID}} has been recorded.</p>',
+    text: 'CSULMCS: Dear {{Name}}, your decision not to guarantee loan {{GroupID}} has been recorded.'
+  },
+  GuarantorNominated: {
+    subject: 'Action Required - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>{{ApplicantName}} has nominated you as a guarantor for their loan (GroupID: {{GroupID}}). Please accept or decline within {{ReminderDays}} days.</p>{{DetailsTable}}<p><a href="{{Link}}">Submit</a></p>{{PortalHtml}}',
+    text: 'CSULMCS: Dear {{Name}}, {{ApplicantName}} has nominated you as guarantor for loan {{GroupID}}. Please respond within {{ReminderDays}} days using the link in your email.'
+  },
+  ReplacementNotAccepted: {
+    subject: 'Replacement Guarantor Not Accepted - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>{{GuarantorName}} cannot guarantee your loan because they {{Reason}}. Kindly nominate another guarantor.</p>',
+    text: 'CSULMCS: Dear {{Name}}, {{GuarantorName}} cannot guarantee your loan {{GroupID}}. Please nominate another guarantor.'
+  },
+  ReplacementAdded: {
+    subject: 'Replacement Guarantor Added - {{GroupID}}',
+    body: '<p>Dear {{Name}},</p><p>{{GuarantorName}} has been asked to guarantee your loan (GroupID: {{GroupID}}) in place of {{PreviousGuarantorName}}.</p>',
+    text: 'CSULMCS: Dear {{Name}}, {{GuarantorName}} has been asked to guarantee your loan {{GroupID}} in place of {{PreviousGuarantorName}}.'
+  }
+};
+
+/**
+ * Earlier default wording, keyed by the schema version whose migration replaces it. Sheet rows
+ * override the defaults, so rows still holding this wording (never edited) only get a new default
+ * through refreshUneditedEmailTemplates.
+ */
+const SUPERSEDED_EMAIL_TEMPLATES = {
+  10: {
+    IntentReceived: {
+      subject: 'Loan Intent Submitted - {{GroupID}}',
+      body: '<p>Dear {{Name}},</p><p>Your loan intent (GroupID: {{GroupID}}) has been received. Please wait for Finance Officer assignment before proceeding.</p>{{DetailsTable}}<p>Application Form: <a href="{{Link}}">Click here</a></p>'
+    },
+    FinanceOfficerAssigned: {
+      subject: 'Finance Officer Assigned - {{GroupID}}',
+      body: '<p>Dear {{Name}},</p><p>A Finance Officer has been assigned to your loan application (GroupID: {{GroupID}}). You may now proceed.</p>{{DetailsTable}}<p><a href="{{Link}}">Submit Application</a></p>'
+    },
+    ApplicationSubmitted: {
+      subject: 'Application Submitted - {{GroupID}}',
+      body: '<p>Dear {{Name}},</p><p>Your application (GroupID: {{GroupID}}) has been submitted.</p>{{DetailsTable}}<p>Edit: <a href="{{Link}}">Click here</a></p>'
+    },
+    ActionRequired: {
+      subject: 'Action Required - {{GroupID}}',
+      body: '<p>Dear {{Name}},</p><p>Please submit details for {{ApplicantName}}\'s loan (GroupID: {{GroupID}}).</p>{{DetailsTable}}<p><a href="{{Link}}">Submit</a></p>'
+    },
+    ReviewRequired: {
+      subject: 'Review Application - {{GroupID}}',
+      body: '<p>Dear {{Name}},</p><p>Please review {{ApplicantName}}\'s loan application (GroupID: {{GroupID}}).</p>{{DetailsTable}}<p><a href="{{Link}}">Review</a></p>'
+    },
+    GuarantorNominated: {
+      subject: 'Action Required - {{GroupID}}',
+      body: '<p>Dear {{Name}},</p><p>{{ApplicantName}} has nominated you as a guarantor for their loan (GroupID: {{GroupID}}). Please accept or decline within {{ReminderDays}} days.</p>{{DetailsTable}}<p><a href="{{Link}}">Submit</a></p>'
+    }
+  },
+  11: {
+    Reminder: {
+      subject: 'Reminder - {{GroupID}}',
+      body: '<p>Dear {{Name}},</p><p>Please submit details for loan application {{GroupID}}.</p>{{DetailsTable}}<p><a href="{{Link}}">Submit</a></p>'
+    },
+    ReviewReminder: {
+      subject: 'Reminder - {{GroupID}}',
+      body: '<p>Dear {{Name}},</p><p>Please review loan application {{GroupID}}.</p>{{DetailsTable}}<p><a href="{{Link}}">Review</a></p>'
+    }
+  }
+};
+
+let emailTemplateCache = null;
+
+/**
+ * Gets or creates EmailTemplates sheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} EmailTemplates sheet.
+ */
+function getEmailTemplatesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(EMAIL_TEMPLATES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(EMAIL_TEMPLATES_SHEET_NAME);
+  }
+  ensureHeaders(sheet, SHEET_SCHEMAS[EMAIL_TEMPLATES_SHEET_NAME].headers);
+  return sheet;
+}
+
+/**
+ * Loads the email templates, with sheet rows overriding the built-in defaults.
+ * Events missing from the sheet are appended with their default wording so admins can edit them.
+ * @returns {Object} Templates keyed by event: { subject, body, text }.
+ */
+function getEmailTemplates() {
+  if (emailTemplateCache) return emailTemplateCache;
+  const sheet = getEmailTemplatesSheet();
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const cols = {
+    event: headers.indexOf('Event'), subject: headers.indexOf('Subject'), body: headers.indexOf('Body'), text: headers.indexOf('Text')
+  };
+  const templates = {};
+  Object.keys(DEFAULT_EMAIL_TEMPLATES).forEach(event => {
+    templates[event] = Object.assign({}, DEFAULT_EMAIL_TEMPLATES[event]);
+  });
+  const listed = [];
+  data.slice(1).forEach(row => {
+    const event = String(row[cols.event] || '').trim();
+    if (!event) return;
+    listed.push(event);
+    const fallback = templates[event] || { subject: '', body: '', text: '' };
+    templates[event] = {
+      subject: String(row[cols.subject] || '').trim() || fallback.subject,
+      body: String(row[cols.body] || '').trim() || fallback.body,
+      text: String(row[cols.text] || '').trim() || fallback.text
+    };
+  });
+  const missing = Object.keys(DEFAULT_EMAIL_TEMPLATES).filter(event => !listed.includes(event));
+  if (missing.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, missing.length, 4).setValues(
+      missing.map(event => [event, DEFAULT_EMAIL_TEMPLATES[event].subject, DEFAULT_EMAIL_TEMPLATES[event].body, DEFAULT_EMAIL_TEMPLATES[event].text])
+    );
+  }
+  emailTemplateCache = templates;
+  return templates;
+}
+
+/**
+ * Rewrites EmailTemplates rows whose Subject and Body still match a superseded default with the
+ * current default wording. Rows an admin has edited are left alone.
+ * @param {Object} superseded Earlier { subject, body } keyed by event.
+ */
+function refreshUneditedEmailTemplates(superseded) {
+  const sheet = getEmailTemplatesSheet();
+  const data = sheet.getDataRange().getValues();
+  const cols = { event: data[0].indexOf('Event'), subject: data[0].indexOf('Subject'), body: data[0].indexOf('Body') };
+  const refreshed = [];
+  data.slice(1).forEach((row, i) => {
+    const event = String(row[cols.event] || '').trim();
+    const previous = superseded[event];
+    if (!previous || String(row[cols.subject]).trim() !== previous.subject || String(row[cols.body]).trim() !== previous.body) return;
+    sheet.getRange(i + 2, cols.subject + 1).setValue(DEFAULT_EMAIL_TEMPLATES[event].subject);
+    sheet.getRange(i + 2, cols.body + 1).setValue(DEFAULT_EMAIL_TEMPLATES[event].body);
+    refreshed.push(event);
+  });
+  emailTemplateCache = null;
+  logAction('Email Templates', `Updated unedited templates to the current defaults: ${refreshed.join(', ') || 'none'}`);
+}
+
+/**
+ * Replaces {{Placeholder}} tokens in a template. Placeholders ending in Table or Html are
+ * pre-built markup and inserted as-is; every other value is HTML-escaped unless escaping is off.
+ * Unknown placeholders render as empty text.
+ * @param {string} text Template text.
+ * @param {Object} values Placeholder values keyed by name.
+ * @param {boolean} escape Whether to HTML-escape values (false for subjects).
+ * @returns {string} Rendered text.
+ */
+function renderTemplate(text, values, escape) {
+  return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = values[name] === undefined || values[name] === null ? '' : values[name];
+    return !escape || /(Table|Html)$/.test(name) ? String(value) : escapeHtml(value);
+  });
+}
+
+/**
+ * Renders the template for an event and emails it, also queueing its short text when the
+ * recipient's member record asks for SMS or WhatsApp.
+ * @param {string} event Template event (e.g., IntentReceived).
+ * @param {string} to Recipient email.
+ * @param {Object} values Placeholder values.
+ * @param {string[]} [attachmentIds] Drive file IDs to attach.
+ */
+function sendTemplatedEmail(event, to, values, attachmentIds) {
+  const template = getEmailTemplates()[event];
+  if (!template) {
+    logAction('Error', `No email template for event: ${event}`);
+    return;
+  }
+  const merged = Object.assign({ ReminderDays: getSetting('REMINDER_DAYS') }, values);
+  const subject = renderTemplate(template.subject, merged, false);
+  const queued = sendEmail(to, subject, renderTemplate(template.body, merged, true), attachmentIds);
+  if (queued && template.text) sendText(to, merged.GroupID, subject, renderTemplate(template.text, merged, false));
+}
+
+// --- OUTBOX ---
+
+/**
+ * Gets or creates Outbox sheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} Outbox sheet.
+ */
+function getOutboxSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(OUTBOX_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(OUTBOX_SHEET_NAME);
+  }
+  ensureHeaders(sheet, SHEET_SCHEMAS[OUTBOX_SHEET_NAME].headers);
+  return sheet;
+}
+
+/**
+ * Builds the key used to spot identical messages to the same recipient on the same day.
+ * @param {string} to Recipient email.
+ * @param {string} subject Email subject.
+ * @param {string} bodyHtml HTML email body.
+ * @param {string[]} attachmentIds Drive file IDs attached to the message.
+ * @param {Date} date Day the message is queued.
+ * @returns {string} Dedupe key.
+ */
+function getOutboxDedupeKey(to, subject, bodyHtml, attachmentIds, date) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, `${subject}\n${bodyHtml}\n${attachmentIds.join(',')}`, Utilities.Charset.UTF_8);
+  return `${String(to).toLowerCase()}|${formatDate(date)}|${Utilities.base64Encode(digest)}`;
+}
+
+/**
+ * Adds a message to the Outbox, unless the same message is already queued or sent to that recipient today.
+ * In dry-run mode it goes to MailPreview instead.
+ * @param {string} to Recipient email, or phone number for text channels.
+ * @param {string} subject Email subject.
+ * @param {string} bodyHtml HTML email body, or plain text for text channels.
+ * @param {string[]} attachmentIds Drive file IDs to attach.
+ * @param {string} [channel] CHANNEL_EMAIL (default), CHANNEL_SMS or CHANNEL_WHATSAPP.
+ * @returns {boolean} True if queued.
+ */
+function queueEmail(to, subject, bodyHtml, attachmentIds, channel) {
+  if (isDryRun()) return previewMessage_(to, subject, bodyHtml, attachmentIds, channel);
+  const sheet = getOutboxSheet();
+  const now = new Date();
+  const dedupeKey = getOutboxDedupeKey(to, subject, bodyHtml, attachmentIds, now);
+  const lastRow = sheet.getLastRow();
+  if (lastRow > 1) {
+    // Only the two columns dedupe needs, and only the newest rows: keys carry the date, so older rows never match.
+    const firstRow = Math.max(2, lastRow - OUTBOX_DEDUPE_SCAN_ROWS + 1);
+    const keys = sheet.getRange(firstRow, getColumnIndex(sheet, 'DedupeKey'), lastRow - firstRow + 1, 1).getValues();
+    const statuses = sheet.getRange(firstRow, getColumnIndex(sheet, 'Status'), lastRow - firstRow + 1, 1).getValues();
+    if (keys.some((row, i) => row[0] === dedupeKey && statuses[i][0] !== OUTBOX_FAILED)) {
+      logAction('Email Duplicate', `Skipped duplicate to: ${to}, Subject: ${subject}`);
+      return false;
+    }
+  }
+  sheet.appendRow([
+    Utilities.getUuid(), now, to, subject, bodyHtml, OUTBOX_QUEUED, 0, now, '', '', dedupeKey, attachmentIds.join(','), channel || CHANNEL_EMAIL
+  ]);
+  return true;
+}
+
+/**
+ * Builds the regards line and footer appended to every outgoing email.
+ * @param {Object} settings Settings from getSettings.
+ * @returns {string} HTML.
+ */
+function buildEmailSignatureHtml(settings) {
+  return `<p style="font-family: Arial, sans-serif;">Regards,<br>${escapeHtml(settings.SENDER_NAME)}</p>
+  <hr style="border: 1px solid #ccc; margin: 20px 0;">
+  <p style="font-size: 12px; color: #333; text-align: center;">
+    ${settings.EMAIL_FOOTER}
+  </p>`;
+}
+
+/**
+ * Deletes Sent rows older than the retention setting, in contiguous runs from the bottom up.
+ * Until then they are the record of what was delivered and when.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet Outbox sheet.
+ * @param {Array[]} data Outbox values read at the start of the run, headers included.
+ * @param {Object} cols 1-based column numbers keyed by header (Status and SentAt).
+ * @param {Date} now Start of the run.
+ * @param {number} retentionDays OUTBOX_SENT_RETENTION_DAYS setting.
+ * @returns {number} Rows deleted.
+ */
+function pruneOutbox(sheet, data, cols, now, retentionDays) {
+  const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+  const isExpired = row => row[cols.Status - 1] === OUTBOX_SENT && new Date(row[cols.SentAt - 1]).getTime() < cutoff;
+  let pruned = 0;
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (!isExpired(data[i])) continue;
+    let start = i;
+    while (start > 1 && isExpired(data[start - 1])) start--;
+    sheet.deleteRows(start + 1, i - start + 1);
+    pruned += i - start + 1;
+    i = start;
+  }
+  return pruned;
+}
+
+/**
+ * Delivers queued emails within the remaining MailApp daily quota, and queued texts through the SMS gateway.
+ * Failed sends are retried with exponential backoff until OUTBOX_MAX_ATTEMPTS is reached, and Sent rows
+ * older than OUTBOX_SENT_RETENTION_DAYS are pruned so the Outbox stays small.
+ * @param {Object} [e] Time-driven trigger event; absent when run from the menu.
+ */
+function processOutbox(e) {
+  setAuditContext(`${e ? 'Trigger' : 'Menu'}: processOutbox`);
+  // The document lock, not the script lock, so form handlers never wait on mail delivery.
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(10000)) {
+    logAction('Outbox', 'Skipped: another run is in progress');
+    return;
+  }
+  try {
+    const sheet = getOutboxSheet();
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const cols = {};
+    ['To', 'Subject', 'Body', 'Status', 'Attempts', 'NextAttemptAt', 'SentAt', 'LastError', 'Attachments', 'Channel'].forEach(header => {
+      cols[header] = headers.indexOf(header) + 1;
+    });
+    const now = new Date();
+    let quota = MailApp.getRemainingDailyQuota();
+    const settings = getSettings();
+    const signature = buildEmailSignatureHtml(settings);
+    const counts = { sent: 0, retrying: 0, failed: 0, waiting: 0 };
+
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const status = row[cols.Status - 1];
+      if (status !== OUTBOX_QUEUED && status !== OUTBOX_RETRY) continue;
+      if (row[cols.NextAttemptAt - 1] && new Date(row[cols.NextAttemptAt - 1]) > now) {
+        counts.waiting++;
+        continue;
+      }
+      const channel = row[cols.Channel - 1] || CHANNEL_EMAIL;
+      if ((channel === CHANNEL_EMAIL && quota <= 0) || counts.sent + counts.retrying + counts.failed >= settings.OUTBOX_BATCH_SIZE) {
+        counts.waiting++;
+        continue;
+      }
+      const attempts = (parseInt(row[cols.Attempts - 1], 10) || 0) + 1;
+      sheet.getRange(i + 1, cols.Attempts).setValue(attempts);
+      try {
+        if (channel === CHANNEL_EMAIL) {
+          const attachmentIds = String(row[cols.Attachments - 1] || '').split(',').filter(id => id);
+          MailApp.sendEmail({
+            to: row[cols.To - 1],
+            subject: row[cols.Subject - 1],
+            htmlBody: row[cols.Body - 1] + signature,
+            name: settings.SENDER_NAME,
+            attachments: attachmentIds.map(id => DriveApp.getFileById(id).getBlob())
+          });
+          quota--;
+        } else {
+          deliverText(channel, row[cols.To - 1], row[cols.Body - 1]);
+        }
+        counts.sent++;
+        sheet.getRange(i + 1, cols.Status).setValue(OUTBOX_SENT);
+        sheet.getRange(i + 1, cols.SentAt).setValue(new Date());
+        sheet.getRange(i + 1, cols.LastError).setValue('');
+      } catch (e) {
+        sheet.getRange(i + 1, cols.LastError).setValue(e.message);
+        if (attempts >= settings.OUTBOX_MAX_ATTEMPTS) {
+          counts.failed++;
+          sheet.getRange(i + 1, cols.Status).setValue(OUTBOX_FAILED);
+          logAction('Error', `Failed to send ${channel === CHANNEL_EMAIL ? 'email' : channel} to ${row[cols.To - 1]} after ${attempts} attempts: ${e.message}`);
+        } else {
+          counts.retrying++;
+          const delayMinutes = settings.OUTBOX_RETRY_BASE_MINUTES * Math.pow(2, attempts - 1);
+          sheet.getRange(i + 1, cols.Status).setValue(OUTBOX_RETRY);
+          sheet.getRange(i + 1, cols.NextAttemptAt).setValue(new Date(now.getTime() + delayMinutes * 60 * 1000));
+        }
+      }
+    }
+    const pruned = pruneOutbox(sheet, data, cols, now, settings.OUTBOX_SENT_RETENTION_DAYS);
+    if (counts.sent + counts.retrying + counts.failed + pruned > 0) {
+      logAction('Outbox', `Sent: ${counts.sent}, Retrying: ${counts.retrying}, Failed: ${counts.failed}, Waiting: ${counts.waiting}, Pruned: ${pruned}, Quota left: ${quota}`);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// --- TEXT MESSAGES ---
+
+/**
+ * SMS/WhatsApp gateways keyed by the SMS_PROVIDER Script Property. Each receives the gateway
+ * config from getTextGatewayConfig, the channel, an international phone number and the text,
+ * and returns { url, options } for UrlFetchApp.fetch.
+ */
+const TEXT_GATEWAYS = {
+  Twilio: (config, channel, to, text) => {
+    const prefix = channel === CHANNEL_WHATSAPP ? 'whatsapp:' : '';
+    return {
+      url: config.url || `https://api.twilio.com/2010-04-01/Accounts/${config.user}/Messages.json`,
+      options: {
+        payload: { To: prefix + to, From: prefix + config.senders[channel], Body: text },
+        headers: { Authorization: `Basic ${Utilities.base64Encode(`${config.user}:${config.key}`)}` }
+      }
+    };
+  },
+  Webhook: (config, channel, to, text) => ({
+    url: config.url,
+    options: {
+      contentType: 'application/json',
+      payload: JSON.stringify({ channel: channel, to: to, from: config.senders[channel], message: text }),
+      headers: config.key ? { Authorization: `Bearer ${config.key}` } : {}
+    }
+  })
+};
+
+/**
+ * Reads a member's Channel cell. Anything other than SMS or WhatsApp means email only.
+ * @param {*} value Cell value.
+ * @returns {string} CHANNEL_EMAIL, CHANNEL_SMS or CHANNEL_WHATSAPP.
+ */
+function parseChannel(value) {
+  const text = String(value || '').trim().toLowerCase();
+  return [CHANNEL_SMS, CHANNEL_WHATSAPP].find(channel => channel.toLowerCase() === text) || CHANNEL_EMAIL;
+}
+
+let textGatewayConfigCache;
+
+/**
+ * Reads the SMS gateway settings from Script Properties, once per execution.
+ * @returns {Object|null} { provider, url, user, key, senders, countryCode }, or null if SMS_PROVIDER is not set.
+ */
+function getTextGatewayConfig() {
+  if (textGatewayConfigCache !== undefined) return textGatewayConfigCache;
+  const props = PropertiesService.getScriptProperties().getProperties();
+  if (!props.SMS_PROVIDER) {
+    textGatewayConfigCache = null;
+    return null;
+  }
+  textGatewayConfigCache = {
+    provider: props.SMS_PROVIDER,
+    url: props.SMS_GATEWAY_URL || '',
+    user: props.SMS_API_USER || '',
+    key: props.SMS_API_KEY || '',
+    senders: { [CHANNEL_SMS]: props.SMS_SENDER || '', [CHANNEL_WHATSAPP]: props.WHATSAPP_SENDER || props.SMS_SENDER || '' },
+    countryCode: String(props.SMS_COUNTRY_CODE || '').replace(/\D/g, '')
+  };
+  return textGatewayConfigCache;
+}
+
+/**
+ * Converts a phone number to international format. Local numbers (e.g., 0803...) and numbers the
+ * sheet stored without their leading zero get the country code.
+ * @param {*} phone Phone as entered.
+ * @param {string} countryCode Digits of the default country code (e.g., 234), or blank.
+ * @returns {string} Number such as +2348031234567, or blank if it has fewer than 7 digits.
+ */
+function normalisePhone(phone, countryCode) {
+  const text = String(phone || '').trim();
+  const digits = text.replace(/\D/g, '');
+  if (digits.length < 7) return '';
+  if (text.startsWith('+')) return `+${digits}`;
+  if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+  if (!countryCode || (!digits.startsWith('0') && digits.startsWith(countryCode))) return `+${digits}`;
+  return `+${countryCode}${digits.replace(/^0/, '')}`;
+}
+
+/**
+ * Finds the Cooperator ID and phone captured for a participant of a group, from Control (or Archive)
+ * first and then Intent.
+ * @param {string} groupID Group ID.
+ * @param {string} email Participant email, lower case.
+ * @returns {Object} { id, phone }, each blank if the group does not list the email.
+ */
+function findGroupContact(groupID, email) {
+  const contact = { id: '', phone: '' };
+  const record = getGroupRecord(groupID);
+  if (record) {
+    const fields = [['Email', 'Phone', 'CooperatorID'], ['Guarantor1Email', 'Guarantor1Phone', 'Guarantor1ID'],
+      ['Guarantor2Email', 'Guarantor2Phone', 'Guarantor2ID'], ['FinanceOfficerEmail', 'FinanceOfficerPhone', 'FinanceOfficerID'],
+      ['ApproverEmail', 'ApproverPhone', 'ApproverID']]
+      .find(([emailHeader]) => String(record[emailHeader]).trim().toLowerCase() === email);
+    if (fields) {
+      contact.phone = record[fields[1]];
+      contact.id = record[fields[2]];
+    }
+  }
+  if (!contact.phone) {
+    const intent = getTable(LOAN_INTENT_SHEET_NAME);
+    const row = intent ? intent.findAll(groupID).find(r => String(r[5]).trim().toLowerCase() === email && r[4]) : null;
+    if (row) {
+      contact.phone = row[4];
+      contact.id = contact.id || row[2];
+    }
+  }
+  return contact;
+}
+
+/**
+ * Works out where to text an email recipient: their Members Channel, and the phone captured for
+ * the group or, if that is missing or unusable, the one in the register. The member is found by the
+ * Cooperator ID the group lists for the email, and by email only when the group has no ID for it.
+ * @param {string} email Recipient email.
+ * @param {string} [groupID] Group the message is about.
+ * @param {Object} config Result of getTextGatewayConfig.
+ * @returns {Object|null} { channel, phone }, or null if the recipient should only be emailed.
+ */
+function getTextRecipient(email, groupID, config) {
+  const key = String(email || '').trim().toLowerCase();
+  if (!key) return null;
+  const members = getMembers();
+  const contact = groupID ? findGroupContact(groupID, key) : { id: '', phone: '' };
+  const memberId = String(contact.id || '').trim().toUpperCase();
+  const member = memberId && members[memberId]
+    ? members[memberId]
+    : Object.keys(members).map(id => members[id]).find(m => String(m.email).trim().toLowerCase() === key);
+  if (!member || member.channel === CHANNEL_EMAIL) return null;
+  const phone = normalisePhone(contact.phone, config.countryCode) || normalisePhone(member.phone, config.countryCode);
+  return phone ? { channel: member.channel, phone: phone } : null;
+}
+
+/**
+ * Queues the short text of a notification for a recipient who prefers SMS or WhatsApp.
+ * Does nothing until SMS_PROVIDER is set in Script Properties.
+ * @param {string} email Recipient email, used to find their member record.
+ * @param {string} [groupID] Group the message is about.
+ * @param {string} subject Email subject, kept in the Outbox for reference.
+ * @param {string} text Plain text message.
+ */
+function sendText(email, groupID, subject, text) {
+  const config = getTextGatewayConfig();
+  if (!config) return;
+  const recipient = getTextRecipient(email, groupID, config);
+  if (!recipient) return;
+  queueEmail(recipient.phone, subject, text, [], recipient.channel);
+}
+
+/**
+ * Sends one text through the configured gateway. Throws on failure so processOutbox retries it.
+ * @param {string} channel CHANNEL_SMS or CHANNEL_WHATSAPP.
+ * @param {string} to Phone number in international format.
+ * @param {string} text Plain text message.
+ */
+function deliverText(channel, to, text) {
+  const config = getTextGatewayConfig();
+  if (!config) throw new Error('SMS_PROVIDER is not set in Script Properties');
+  const gateway = TEXT_GATEWAYS[config.provider];
+  if (!gateway) throw new Error(`Unknown SMS_PROVIDER: ${config.provider}`);
+  const request = gateway(config, channel, to, text);
+  if (!request.url) throw new Error('SMS_GATEWAY_URL is not set in Script Properties');
+  const response = UrlFetchApp.fetch(request.url, Object.assign({ method: 'post', muteHttpExceptions: true }, request.options));
+  const code = response.getResponseCode();
+  if (code < 200 || code >= 300) throw new Error(`Gateway returned ${code}: ${response.getContentText().slice(0, 200)}`);
+}
+
+// --- DRY RUN ---
+
+/**
+ * Form handlers a saved FormEvents row can be replayed against, keyed by its Form value.
+ */
+const FORM_EVENT_HANDLERS = {
+  Intent: e => handleIntentFormSubmit(e),
+  Application: e => handleApplicationFormSubmit(e)
+};
+
+/**
+ * Gets or creates MailPreview sheet, where dry-run mode writes the messages it would have sent.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} MailPreview sheet.
+ */
+function getMailPreviewSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(MAIL_PREVIEW_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(MAIL_PREVIEW_SHEET_NAME);
+    sheet.getRange(1, 1, 1, 7).setValues([SHEET_SCHEMAS[MAIL_PREVIEW_SHEET_NAME].headers]);
+  }
+  return sheet;
+}
+
+/**
+ * Gets or creates FormEvents sheet, which keeps every form submission so it can be replayed.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} FormEvents sheet.
+ */
+function getFormEventsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(FORM_EVENTS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(FORM_EVENTS_SHEET_NAME);
+  }
+  ensureHeaders(sheet, SHEET_SCHEMAS[FORM_EVENTS_SHEET_NAME].headers);
+  return sheet;
+}
+
+/**
+ * Writes a message to MailPreview instead of the Outbox. Emails get the signature processOutbox
+ * would add, so the Body is exactly what the recipient would see.
+ * @param {string} to Recipient email, or phone number for text channels.
+ * @param {string} subject Email subject.
+ * @param {string} bodyHtml HTML email body, or plain text for text channels.
+ * @param {string[]} attachmentIds Drive file IDs to attach.
+ * @param {string} [channel] CHANNEL_EMAIL (default), CHANNEL_SMS or CHANNEL_WHATSAPP.
+ * @returns {boolean} True.
+ */
+function previewMessage_(to, subject, bodyHtml, attachmentIds, channel) {
+  const email = !channel || channel === CHANNEL_EMAIL;
+  getMailPreviewSheet().appendRow([
+    new Date(), to, subject, email ? bodyHtml + buildEmailSignatureHtml(getSettings()) : bodyHtml,
+    attachmentIds.join(','), channel || CHANNEL_EMAIL, auditContext.source
+  ]);
+  return true;
+}
+
+/**
+ * Saves a form submission to FormEvents as Pending. It is saved before the script lock is taken,
+ * so EventIDs are UUIDs rather than row counts that two submissions could share.
+ * @param {string} form Key of FORM_EVENT_HANDLERS.
+ * @param {GoogleAppsScript.Forms.FormSubmitEvent} e Form submission event.
+ * @param {string} [email] Submitter's email.
+ * @returns {string|null} EventID, or null if the event has no answers to save.
+ */
+function saveFormEvent_(form, e, email) {
+  if (!e?.namedValues) return null;
+  const eventID = Utilities.getUuid();
+  getFormEventsSheet().appendRow([eventID, new Date(), form, email || '', JSON.stringify(e.namedValues), FORM_EVENT_PENDING]);
+  return eventID;
+}
+
+/**
+ * Sets the Status of a saved form event.
+ * @param {string} eventID EventID from FormEvents.
+ * @param {string} status FORM_EVENT_PROCESSED or FORM_EVENT_FAILED.
+ */
+function setFormEventStatus_(eventID, status) {
+  const sheet = getFormEventsSheet();
+  const ids = sheet.getRange(1, 1, sheet.getLastRow(), 1).getValues();
+  const index = ids.findIndex(row => String(row[0]) === String(eventID));
+  if (index > 0) sheet.getRange(index + 1, getColumnIndex(sheet, 'Status')).setValue(status);
+}
+
+/**
+ * Handles a live form submission: saves it to FormEvents, then runs its handler under the script lock.
+ * Submissions always change the live tabs and send real messages, even while dry run is on.
+ * If the lock cannot be had in time the event stays Pending for retryPendingFormEvents instead of
+ * being lost; if the handler itself fails the event is marked Failed and the error is rethrown.
+ * @param {string} form Key of FORM_EVENT_HANDLERS.
+ * @param {GoogleAppsScript.Forms.FormSubmitEvent} e Form submission event.
+ * @param {string} [email] Submitter's email.
+ */
+function receiveFormEvent_(form, e, email) {
+  const eventID = saveFormEvent_(form, e, email);
+  let started = false;
+  try {
+    runWithDryRun_(false, () => {
+      started = true;
+      FORM_EVENT_HANDLERS[form](e);
+      if (eventID) setFormEventStatus_(eventID, FORM_EVENT_PROCESSED);
+    });
+  } catch (err) {
+    if (started) {
+      if (eventID) setFormEventStatus_(eventID, FORM_EVENT_FAILED);
+      throw err;
+    }
+    logAction('Form Queued', `${form} event ${eventID || '(unsaved)'} left ${FORM_EVENT_PENDING} for retry: ${err.message}`);
+  }
+}
+
+/**
+ * Processes form events left Pending because the script lock timed out (every 10 minutes), against the
+ * live tabs like the submissions they came from.
+ * Only events older than twice the lock timeout are taken, so the submission's own run has given up,
+ * and statuses are re-read under the lock so an event is never handled twice.
+ * @param {Object} [e] Time-driven trigger event; absent when run from the menu.
+ */
+function retryPendingFormEvents(e) {
+  setAuditContext(`${e ? 'Trigger' : 'Menu'}: retryPendingFormEvents`);
+  runWithDryRun_(false, () => {
+    const sheet = getFormEventsSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return;
+    const statusCol = getColumnIndex(sheet, 'Status');
+    const statuses = sheet.getRange(2, statusCol, lastRow - 1, 1).getValues();
+    const cutoff = Date.now() - 2 * SCRIPT_LOCK_TIMEOUT_MS;
+    let count = 0;
+    statuses.forEach((status, i) => {
+      if (status[0] !== FORM_EVENT_PENDING) return;
+      const [eventID, receivedAt, form, email, values] = sheet.getRange(i + 2, 1, 1, 5).getValues()[0];
+      if (new Date(receivedAt).getTime() > cutoff) return;
+      setAuditContext(`Retry: ${form} event ${eventID}`, getFormActor(email));
+      try {
+        if (!FORM_EVENT_HANDLERS[form]) throw new Error(`Unknown form: ${form}`);
+        FORM_EVENT_HANDLERS[form]({ namedValues: JSON.parse(values) });
+        sheet.getRange(i + 2, statusCol).setValue(FORM_EVENT_PROCESSED);
+        count++;
+      } catch (err) {
+        sheet.getRange(i + 2, statusCol).setValue(FORM_EVENT_FAILED);
+        logAction('Error', `Retry of ${form} event ${eventID} failed: ${err.message}`);
+      }
+    });
+    if (count > 0) logAction('Form Retry', `Processed ${count} pending form event(s)`);
+  });
+}
+
+/**
+ * Deletes the sandbox tabs so they are copied afresh from the live tabs on next use, and empties MailPreview.
+ */
+function resetDryRunSandbox_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  flushTables();
+  DRY_RUN_SHEETS.forEach(name => {
+    const sandbox = ss.getSheetByName(name + DRY_RUN_SUFFIX);
+    if (sandbox) ss.deleteSheet(sandbox);
+  });
+  tableCache = {};
+  headerCache = {};
+  const preview = getMailPreviewSheet();
+  if (preview.getLastRow() > 1) preview.deleteRows(2, preview.getLastRow() - 1);
+}
+
+/**
+ * Runs a function under the script lock in dry-run mode or live mode, whatever the DRY_RUN property says.
+ * Replays use the sandbox; live form submissions and the portal use the live tabs even while dry run is on.
+ * Tables cached in the other mode are written and dropped first, so no sheet is read from the wrong tab.
+ * @param {boolean} dryRun True for the sandbox, false for the live tabs.
+ * @param {Function} fn Function to run.
+ * @returns {*} The function's return value.
+ */
+function runWithDryRun_(dryRun, fn) {
+  const previous = dryRunCache;
+  flushTables();
+  tableCache = {};
+  headerCache = {};
+  dryRunCache = dryRun;
+  try {
+    return withScriptLock(fn);
+  } finally {
+    flushTables();
+    dryRunCache = previous;
+    tableCache = {};
+    headerCache = {};
+  }
+}
+
+/**
+ * Turns dry-run mode on or off from the menu. Turning it on starts from a fresh copy of the live tabs.
+ */
+function toggleDryRun() {
+  setAuditContext('Menu: Dry Run');
+  requireAdmin_();
+  const on = !isDryRun();
+  if (on) resetDryRunSandbox_();
+  PropertiesService.getScriptProperties().setProperty('DRY_RUN', on ? 'TRUE' : 'FALSE');
+  dryRunCache = on;
+  logAction('Dry Run', on ? 'Dry run turned on' : 'Dry run turned off');
+  SpreadsheetApp.getUi().alert(on
+    ? `Dry run is ON. Reminders, daily jobs, menu actions and replays write their emails and texts to the ${MAIL_PREVIEW_SHEET_NAME} tab and change the "${DRY_RUN_SUFFIX.trim()}" copies of ${DRY_RUN_SHEETS.join(', ')} instead of the live tabs.\n\nWarning: real form submissions received while it is on still change the live tabs and send real messages.`
+    : 'Dry run is OFF. Emails are sent and the live tabs are used again. The sandbox tabs are kept until dry run is next turned on.');
+}
+
+/**
+ * Replays a saved form submission against the sandbox, then reports the messages it would have sent.
+ * @param {number|string} eventID EventID from FormEvents.
+ * @returns {Object} { form, messages } or { error }.
+ */
+function replayFormEvent_(eventID) {
+  const data = getFormEventsSheet().getDataRange().getValues();
+  const row = data.slice(1).find(r => String(r[0]) === String(eventID).trim());
+  if (!row) return { error: `Form event ${eventID} not found` };
+  const handler = FORM_EVENT_HANDLERS[row[2]];
+  if (!handler) return { error: `Unknown form: ${row[2]}` };
+  let namedValues;
+  try {
+    namedValues = JSON.parse(row[4]);
+  } catch (e) {
+    return { error: `Form event ${eventID} could not be read: ${e.message}` };
+  }
+  const preview = getMailPreviewSheet();
+  const before = preview.getLastRow();
+  setAuditContext(`Replay: ${row[2]} event ${row[0]}`, getFormActor(row[3]));
+  runWithDryRun_(true, () => handler({ namedValues: namedValues }));
+  const messages = preview.getLastRow() > before ? preview.getRange(before + 1, 2, preview.getLastRow() - before, 2).getValues() : [];
+  return { form: row[2], messages: messages };
+}
+
+/**
+ * Menu wrapper for replayFormEvent_. Admins only.
+ */
+function manualReplayFormEvent() {
+  setAuditContext('Menu: Replay Form Event');
+  requireAdmin_();
+  const ui = SpreadsheetApp.getUi();
+  const eventID = ui.prompt(`Enter the EventID from ${FORM_EVENTS_SHEET_NAME} to replay in the sandbox`).getResponseText().trim();
+  if (!eventID) return;
+  const result = replayFormEvent_(eventID);
+  if (result.error) {
+    ui.alert(`Error: ${result.error}`);
+    return;
+  }
+  const lines = result.messages.map(([to, subject]) => `${to}: ${subject}`);
+  ui.alert(`Replayed ${result.form} event ${eventID} against the sandbox. ${lines.length} message(s) captured in ${MAIL_PREVIEW_SHEET_NAME}` +
+    `${lines.length ? `:\n\n${lines.join('\n')}` : '.'}\n\nSee the "${DRY_RUN_SUFFIX.trim()}" tabs for the changes, and Logs entries whose Source starts with "Dry Run".`);
+}
+
+// --- STATUS PORTAL ---
+
+/**
+ * Gets or creates AccessTokens sheet (its sandbox copy in dry-run mode).
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} AccessTokens sheet.
+ */
+function getAccessTokensSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = getStateSheet(ACCESS_TOKENS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(getStateSheetName(ACCESS_TOKENS_SHEET_NAME));
+    sheet.getRange(1, 1, 1, 8).setValues([SHEET_SCHEMAS[ACCESS_TOKENS_SHEET_NAME].headers]);
+  }
+  return sheet;
+}
+
+/**
+ * Gets a participant's portal access token for a group, creating one on first use.
+ * @param {string} groupID Group ID.
+ * @param {string} role Participant role.
+ * @param {string} email Participant email.
+ * @param {string} name Participant name.
+ * @returns {string} Access token.
+ */
+function getAccessToken(groupID, role, email, name) {
+  const sheet = getAccessTokensSheet();
+  const data = sheet.getDataRange().getValues();
+  const existing = data.slice(1).find(row => row[1] === groupID && row[2] === role &&
+    String(row[3]).toLowerCase() === String(email).toLowerCase() && row[7] !== 'FALSE');
+  if (existing) return existing[0];
+  const token = Utilities.getUuid().replace(/-/g, '');
+  sheet.appendRow([token, groupID, role, email, name, new Date(), '', 'TRUE']);
+  return token;
+}
+
+/**
+ * Builds the portal link paragraph for a participant's emails.
+ * @param {string} groupID Group ID.
+ * @param {string} role Participant role.
+ * @param {string} email Participant email.
+ * @param {string} name Participant name.
+ * @returns {string} HTML paragraph, or an empty string if the web app is not deployed.
+ */
+function buildPortalLinkHtml(groupID, role, email, name) {
+  const url = ScriptApp.getService().getUrl();
+  if (!url || !email) return '';
+  const link = `${url}?gid=${encodeURIComponent(groupID)}&token=${getAccessToken(groupID, role, email, name)}`;
+  return `<p>Check the status of this application at any time: <a href="${escapeHtml(link)}">Loan Status Portal</a></p>`;
+}
+
+/**
+ * Finds the access token row matching a GroupID and token, recording its use.
+ * @param {string} groupID Group ID.
+ * @param {string} token Access token.
+ * @returns {Object|null} { role, email, name }, or null if the token is invalid.
+ */
+function verifyAccessToken(groupID, token) {
+  if (!groupID || !token) return null;
+  const sheet = getAccessTokensSheet();
+  const data = sheet.getDataRange().getValues();
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (row[0] === token && row[1] === groupID && row[7] !== 'FALSE') {
+      sheet.getRange(i + 1, 7).setValue(new Date());
+      return { role: row[2], email: row[3], name: row[4] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Describes each party's progress on a group for the portal.
+ * @param {Object} record Group's Control or Archive record.
+ * @returns {Object} Progress text keyed by party.
+ */
+function getPartyProgress(record) {
+  const consentText = {
+    [CONSENT_ACCEPTED]: 'Submitted',
+    [CONSENT_DECLINED]: 'Declined',
+    [CONSENT_PENDING]: 'Awaiting submission'
+  };
+  const status = record['ApplicationStatus'];
+  // Groups can expire before the applicant submits; only the applicant's submission fills CooperatorID.
+  const applicantSubmitted = status === STATUS_EXPIRED ? !!record['CooperatorID'] : status && status !== STATUS_PENDING_FINANCE_OFFICER;
+  const progress = {
+    'Applicant': applicantSubmitted ? 'Submitted' : 'Awaiting submission'
+  };
+  ['1', '2'].forEach(num => {
+    const submittedAt = record[`Guarantor${num}SubmittedAt`];
+    progress[`Guarantor ${num} (${record[`Guarantor${num}Name`] || 'not yet named'})`] =
+      record[`Guarantor${num}Consent`] === CONSENT_ACCEPTED && submittedAt
+        ? `Submitted on ${formatDate(submittedAt)}`
+        : consentText[record[`Guarantor${num}Consent`]] || 'Awaiting submission';
+  });
+  progress['Finance Officer'] = record['Status'] ? `Reviewed (${record['Status']})` : 'Awaiting review';
+  return progress;
+}
+
+/**
+ * Wraps portal content in a minimal HTML page.
+ * @param {string} content Page body HTML.
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} Page.
+ */
+function buildPortalPage(content) {
+  return HtmlService.createHtmlOutput(
+    `<div style="font-family:Arial,sans-serif;max-width:640px;margin:20px auto;"><h2>CSULMCS Loan Status</h2>${content}</div>`
+  ).setTitle('CSULMCS Loan Status');
+}
+
+/**
+ * Serves the self-service status portal. Participants open it with ?gid=GroupID&token=AccessToken
+ * (the link in their emails) or enter both on the lookup form. Participants are live traffic, so the
+ * portal always reads the live tabs, even while dry run is on.
+ * @param {GoogleAppsScript.Events.DoGet} e Web app request.
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} Portal page.
+ */
+function doGet(e) {
+  setAuditContext('Portal');
+  return runWithDryRun_(false, () => buildPortalResponse_(e));
+}
+
+/**
+ * Builds the portal page for a request: the lookup form, a refusal, or the group's status.
+ * @param {GoogleAppsScript.Events.DoGet} e Web app request.
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} Portal page.
+ */
+function buildPortalResponse_(e) {
+  const params = (e && e.parameter) || {};
+  const groupID = String(params.gid || '').trim().toUpperCase();
+  const token = String(params.token || '').trim();
+  const lookupForm = `<form method="get" action="${escapeHtml(ScriptApp.getService().getUrl())}" target="_top">
+    <p>Loan ID: <input name="gid" value="${escapeHtml(groupID)}"></p>
+    <p>Access Code: <input name="token" value=""></p>
+    <p><input type="submit" value="Check Status"></p></form>`;
+  if (!groupID && !token) return buildPortalPage(lookupForm);
+
+  const viewer = verifyAccessToken(groupID, token);
+  const record = viewer ? getGroupRecord(groupID) : null;
+  if (!record) {
+    logAction('Portal Denied', `GroupID: ${groupID}`);
+    return buildPortalPage(`<p>We could not find that Loan ID and Access Code. Please use the link from your emails or contact the admin.</p>${lookupForm}`);
+  }
+
+  const isOpen = !!getTable(CONTROL_SHEET_NAME).find(groupID) && record['Locked'] !== 'TRUE';
+  const status = record['ApplicationStatus'];
+  let daysLeft = 'N/A';
+  if (status === STATUS_APPLICANT_SUBMITTED) {
+    daysLeft = Math.max(0, Math.ceil((getExpiryDeadline(record) - new Date()) / (1000 * 60 * 60 * 24)));
+  }
+  const summary = {
+    'Loan ID': groupID,
+    'Applicant Name': record['Name'],
+    'Application Status': status,
+    'Current Stage': record['CurrentStage'],
+    'Finance Officer': record['FinanceOfficerName'] ? `${record['FinanceOfficerName']} (${record['FinanceOfficerEmail']})` : 'Not yet assigned',
+    'Days Left Before Expiry': daysLeft,
+    'Record': isOpen ? 'Open' : 'Closed'
+  };
+  if (status === STATUS_COMPLETED) summary['Outstanding Balance'] = getOutstandingBalance(groupID).toFixed(2);
+
+  const links = [];
+  if (isOpen) {
+    const link = generatePrefilledLink(groupID, viewer.role, viewer.email);
+    if (link) links.push(`<a href="${escapeHtml(link)}" target="_blank">Open your ${escapeHtml(viewer.role)} form</a>`);
+    if (viewer.role === ROLE_APPLICANT && ['1', '2'].some(num => record[`Guarantor${num}Consent`] === CONSENT_DECLINED)) {
+      const replacementLink = generatePrefilledLink(groupID, ROLE_REPLACEMENT, viewer.email);
+      if (replacementLink) links.push(`<a href="${escapeHtml(replacementLink)}" target="_blank">Nominate a replacement guarantor</a>`);
+    }
+  }
+
+  logAction('Portal', `GroupID: ${groupID}, Viewed by: ${viewer.email} (${viewer.role})`);
+  return buildPortalPage(
+    `<p>Dear ${escapeHtml(viewer.name)},</p>${buildHtmlTableFromObject(summary)}` +
+    `<h3>Submissions</h3>${buildHtmlTableFromObject(getPartyProgress(record))}` +
+    (links.length ? `<h3>Your Links</h3><p>${links.join('<br>')}</p>` : '')
+  );
+}
+
+// --- DASHBOARD ---
+
+/**
+ * Gets or creates Dashboard sheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} Dashboard sheet.
+ */
+function getDashboardSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  return ss.getSheetByName(DASHBOARD_SHEET_NAME) || ss.insertSheet(DASHBOARD_SHEET_NAME);
+}
+
+/**
+ * Reads every row of a sheet as records keyed by header.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet Sheet to read.
+ * @returns {Object[]} Records.
+ */
+function getSheetRecords(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  return data.slice(1).filter(row => row.some(value => value !== '')).map(row => {
+    const record = {};
+    headers.forEach((header, i) => {
+      if (header) record[header] = row[i];
+    });
+    return record;
+  });
+}
+
+/**
+ * Classifies a group's final outcome for reporting.
+ * Groups archived straight after finance review (before approval stages existed) count by their finance decision.
+ * @param {Object} record Group's Control or Archive record.
+ * @returns {string} Approved, Rejected, Expired, or Open.
+ */
+function getLoanOutcome(record) {
+  const status = record['ApplicationStatus'];
+  if (status === STATUS_COMPLETED) return 'Approved';
+  if (status === STATUS_REJECTED) return 'Rejected';
+  if (status === STATUS_EXPIRED) return 'Expired';
+  if (status === STATUS_FINANCE_REVIEWED && record['Status'] === 'Approved') return 'Approved';
+  if (status === STATUS_FINANCE_REVIEWED && record['Status'] === 'Denied') return 'Rejected';
+  return 'Open';
+}
+
+/**
+ * Writes a titled table to the dashboard.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet Dashboard sheet.
+ * @param {number} row First row to write.
+ * @param {string} title Table title.
+ * @param {string[]} headers Column headers.
+ * @param {Array[]} rows Table rows.
+ * @returns {Object} { headerRow, rows (data row count), nextRow }.
+ */
+function writeDashboardTable(sheet, row, title, headers, rows) {
+  sheet.getRange(row, 1).setValue(title).setFontWeight('bold');
+  const values = [headers].concat(rows.length ? rows : [headers.map((header, i) => i === 0 ? 'No data' : '')]);
+  sheet.getRange(row + 1, 1, values.length, headers.length).setValues(values);
+  sheet.getRange(row + 1, 1, 1, headers.length).setFontWeight('bold').setBackground('#eeeeee');
+  return { headerRow: row + 1, rows: rows.length, nextRow: row + values.length + 2 };
+}
+
+/**
+ * Adds a chart of the leading columns of a dashboard table beside the tables.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet Dashboard sheet.
+ * @param {Object} table Table written by writeDashboardTable.
+ * @param {number} columns Number of columns to chart, starting with the label column.
+ * @param {string} type Chart type: column or pie.
+ * @param {string} title Chart title.
+ * @param {number} position Chart slot (0-based), stacked down column H.
+ */
+function addDashboardChart(sheet, table, columns, type, title, position) {
+  if (!table.rows) return;
+  const builder = type === 'pie' ? sheet.newChart().asPieChart() : sheet.newChart().asColumnChart();
+  sheet.insertChart(builder
+    .addRange(sheet.getRange(table.headerRow, 1, table.rows + 1, columns))
+    .setPosition(1 + position * 20, 8, 0, 0)
+    .setOption('title', title)
+    .setOption('width', 520)
+    .setOption('height', 360)
+    .build());
+}
+
+/**
+ * Builds the Dashboard sheet: loan counts and amounts by status and month, outcome rates,
+ * average turnaround from intent to finance review, and Finance Officer throughput, with charts.
+ * @param {Object} [e] Time-driven trigger event; absent when run from the menu.
+ */
+function buildDashboard(e) {
+  setAuditContext(`${e ? 'Trigger' : 'Menu'}: buildDashboard`);
+  const records = getTable(CONTROL_SHEET_NAME).records().map(record => Object.assign(record, { open: true }))
+    .concat(getTable(ARCHIVE_SHEET_NAME).records().map(record => Object.assign(record, { open: false })))
+    .filter(record => record['GroupID']);
+  const intent = getTable(LOAN_INTENT_SHEET_NAME);
+  const intentTimes = {};
+  if (intent) {
+    intent.rows.forEach(row => {
+      if (row[1] && row[0] && !intentTimes[row[1]]) intentTimes[row[1]] = new Date(row[0]);
+    });
+  }
+  const reviewTimes = {};
+  getSheetRecords(getStatusHistorySheet()).forEach(entry => {
+    if (entry['ToStatus'] === STATUS_FINANCE_REVIEWED && !reviewTimes[entry['GroupID']]) {
+      reviewTimes[entry['GroupID']] = new Date(entry['Timestamp']);
+    }
+  });
+
+  const byStatus = {};
+  const byMonth = {};
+  const outcomes = { Approved: 0, Rejected: 0, Expired: 0, Open: 0 };
+  const officers = {};
+  const turnarounds = [];
+  records.forEach(record => {
+    const groupID = record['GroupID'];
+    const amount = parseAmount(record['LoanAmountFigures']);
+    const status = record['ApplicationStatus'] || 'Unknown';
+    const outcome = getLoanOutcome(record);
+    const started = intentTimes[groupID] || (record['Timestamp'] ? new Date(record['Timestamp']) : null);
+    const month = started && !isNaN(started) ? Utilities.formatDate(started, Session.getScriptTimeZone(), 'yyyy-MM') : 'Unknown';
+
+    byStatus[status] = byStatus[status] || { count: 0, amount: 0 };
+    byStatus[status].count++;
+    byStatus[status].amount += amount;
+
+    byMonth[month] = byMonth[month] || { count: 0, amount: 0, Approved: 0, Rejected: 0, Expired: 0 };
+    byMonth[month].count++;
+    byMonth[month].amount += amount;
+    if (outcome !== 'Open') byMonth[month][outcome]++;
+    outcomes[outcome]++;
+
+    let turnaround = null;
+    if (started && reviewTimes[groupID]) {
+      turnaround = (reviewTimes[groupID] - started) / (1000 * 60 * 60 * 24);
+      turnarounds.push(turnaround);
+    }
+
+    const officer = record['FinanceOfficerName'];
+    if (officer) {
+      officers[officer] = officers[officer] || { assigned: 0, reviewed: 0, pending: 0, turnarounds: [] };
+      officers[officer].assigned++;
+      if (reviewTimes[groupID] || record['Status']) officers[officer].reviewed++;
+      if (record.open && [STATUS_PENDING_FINANCE_OFFICER, STATUS_APPLICANT_SUBMITTED].includes(status)) officers[officer].pending++;
+      if (turnaround !== null) officers[officer].turnarounds.push(turnaround);
+    }
+  });
+
+  const average = values => values.length ? roundMoney(values.reduce((sum, value) => sum + value, 0) / values.length) : '';
+  const closed = outcomes.Approved + outcomes.Rejected + outcomes.Expired;
+  const rate = count => closed ? `${roundMoney(count / closed * 100)}%` : '';
+
+  const sheet = getDashboardSheet();
+  sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+  sheet.clear();
+  sheet.getRange(1, 1, 2, 2).setValues([
+    ['CSULMCS Loan Portfolio Dashboard', ''],
+    ['Generated', new Date()]
+  ]);
+  sheet.getRange(1, 1).setFontWeight('bold');
+
+  let next = 4;
+  const statusTable = writeDashboardTable(sheet, next, 'Loans by Status', ['Status', 'Count', 'Total Amount'],
+    Object.keys(byStatus).sort().map(status => [status, byStatus[status].count, roundMoney(byStatus[status].amount)]));
+  next = statusTable.nextRow;
+  const monthTable = writeDashboardTable(sheet, next, 'Loans by Month', ['Month', 'Applications', 'Total Amount', 'Approved', 'Rejected', 'Expired'],
+    Object.keys(byMonth).sort().map(month => {
+      const m = byMonth[month];
+      return [month, m.count, roundMoney(m.amount), m.Approved, m.Rejected, m.Expired];
+    }));
+  next = monthTable.nextRow;
+  const outcomeTable = writeDashboardTable(sheet, next, 'Outcomes', ['Outcome', 'Count', 'Rate (of closed)'], [
+    ['Approved', outcomes.Approved, rate(outcomes.Approved)],
+    ['Rejected', outcomes.Rejected, rate(outcomes.Rejected)],
+    ['Expired', outcomes.Expired, rate(outcomes.Expired)]
+  ]);
+  next = outcomeTable.nextRow;
+  next = writeDashboardTable(sheet, next, 'Turnaround (Intent to Finance Review, days)', ['Measure', 'Value'], [
+    ['Groups reviewed', turnarounds.length],
+    ['Average days', average(turnarounds)],
+    ['Fastest', turnarounds.length ? roundMoney(Math.min(...turnarounds)) : ''],
+    ['Slowest', turnarounds.length ? roundMoney(Math.max(...turnarounds)) : ''],
+    ['Still open', outcomes.Open]
+  ]).nextRow;
+  const officerTable = writeDashboardTable(sheet, next, 'Finance Officers', ['Finance Officer', 'Assigned', 'Reviewed', 'Pending Queue', 'Avg Turnaround (days)'],
+    Object.keys(officers).sort().map(name => {
+      const o = officers[name];
+      return [name, o.assigned, o.reviewed, o.pending, average(o.turnarounds)];
+    }));
+
+  addDashboardChart(sheet, statusTable, 2, 'column', 'Loans by Status', 0);
+  addDashboardChart(sheet, monthTable, 2, 'column', 'Applications by Month', 1);
+  if (closed) addDashboardChart(sheet, outcomeTable, 2, 'pie', 'Outcomes', 2);
+  addDashboardChart(sheet, officerTable, 4, 'column', 'Finance Officer Throughput', 3);
+  logAction('Dashboard', `Built from ${records.length} groups`);
+}
+
+// --- AUDIT TRAIL ---
+
+/**
+ * Gets a log entry's month in the script time zone.
+ * @param {Date} date Entry timestamp.
+ * @returns {string} Month as yyyy-MM.
+ */
+function getLogMonth(date) {
+  return Utilities.formatDate(new Date(date), Session.getScriptTimeZone(), 'yyyy-MM');
+}
+
+/**
+ * Gets the Logs tab and its monthly archive tabs (e.g., "Logs 2026-09").
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet[]} Sheets, Logs first.
+ */
+function getLogSheets() {
+  const archives = SpreadsheetApp.getActiveSpreadsheet().getSheets()
+    .filter(sheet => new RegExp(`^${LOGS_SHEET_NAME} \\d{4}-\\d{2}$`).test(sheet.getName()));
+  return [getLogsSheet()].concat(archives);
+}
+
+/**
+ * Moves Logs entries from before the current month into one archive tab per month.
+ * Runs monthly; the entries stay searchable with Audit Trail.
+ * @param {Object} [e] Time-driven trigger event; absent when run from the menu.
+ */
+function rotateLogs(e) {
+  setAuditContext(`${e ? 'Trigger' : 'Menu'}: rotateLogs`);
+  withScriptLock(() => {
+    const sheet = getLogsSheet();
+    const data = sheet.getDataRange().getValues();
+    const current = getLogMonth(new Date());
+    let count = 0;
+    while (count + 1 < data.length) {
+      const timestamp = data[count + 1][0];
+      if (!timestamp || isNaN(new Date(timestamp).getTime()) || getLogMonth(timestamp) >= current) break;
+      count++;
+    }
+    const byMonth = {};
+    data.slice(1, count + 1).forEach(row => {
+      const month = getLogMonth(row[0]);
+      if (!byMonth[month]) byMonth[month] = [];
+      byMonth[month].push(row);
+    });
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    Object.keys(byMonth).forEach(month => {
+      const name = `${LOGS_SHEET_NAME} ${month}`;
+      let archive = ss.getSheetByName(name);
+      if (!archive) {
+        archive = ss.insertSheet(name);
+        archive.getRange(1, 1, 1, data[0].length).setValues([data[0]]);
+      }
+      archive.getRange(archive.getLastRow() + 1, 1, byMonth[month].length, data[0].length).setValues(byMonth[month]);
+    });
+    if (count > 0) sheet.deleteRows(2, count);
+    logAction('Log Rotation', `Moved ${count} entries to ${Object.keys(byMonth).map(month => `${LOGS_SHEET_NAME} ${month}`).join(', ') || 'no tabs'}`);
+  });
+}
+
+/**
+ * Finds the log entries about a group or a member, across Logs and its archive tabs.
+ * A member matches the groups they took part in (as applicant, guarantor or Finance Officer),
+ * entries they made, and entries whose details mention them.
+ * @param {string} query GroupID, Cooperator ID or email.
+ * @returns {Array[]} Entries in Logs column order plus the tab name, newest first.
+ */
+function findAuditEntries(query) {
+  const needle = query.trim().toUpperCase();
+  const groups = new Set([needle]);
+  const people = ['CooperatorID', 'Email', 'Guarantor1ID', 'Guarantor1Email', 'Guarantor2ID', 'Guarantor2Email', 'FinanceOfficerID', 'FinanceOfficerEmail'];
+  [CONTROL_SHEET_NAME, ARCHIVE_SHEET_NAME].forEach(name => {
+    getTable(name).records().forEach(record => {
+      if (people.some(header => String(record[header] || '').trim().toUpperCase() === needle)) {
+        groups.add(String(record['GroupID']).toUpperCase());
+      }
+    });
+  });
+  const headers = SHEET_SCHEMAS[LOGS_SHEET_NAME].headers;
+  const entries = [];
+  getLogSheets().forEach(sheet => {
+    const data = sheet.getDataRange().getValues();
+    const cols = headers.map(header => data[0].indexOf(header));
+    const actorCol = data[0].indexOf('Actor');
+    const groupCol = data[0].indexOf('GroupID');
+    const detailsCol = data[0].indexOf('Details');
+    data.slice(1).forEach(row => {
+      const tokens = String(row[detailsCol]).toUpperCase().split(/[^A-Z0-9@._-]+/);
+      const matches = (groupCol >= 0 && groups.has(String(row[groupCol]).toUpperCase())) ||
+        (actorCol >= 0 && String(row[actorCol]).replace(UNVERIFIED_ACTOR_SUFFIX, '').toUpperCase() === needle) ||
+        tokens.some(token => groups.has(token));
+      if (matches) entries.push(cols.map(i => i >= 0 ? row[i] : '').concat([sheet.getName()]));
+    });
+  });
+  return entries.sort((a, b) => new Date(b[0]) - new Date(a[0]));
+}
+
+/**
+ * Lists the audit trail of a GroupID or member in the AuditTrail tab, which is rewritten on every run.
+ */
+function showAuditTrail() {
+  setAuditContext('Menu: Audit Trail');
+  const ui = SpreadsheetApp.getUi();
+  const query = ui.prompt('Enter a GroupID, Cooperator ID or email').getResponseText().trim();
+  if (!query) return;
+  const entries = findAuditEntries(query);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(AUDIT_TRAIL_SHEET_NAME) || ss.insertSheet(AUDIT_TRAIL_SHEET_NAME);
+  const headers = SHEET_SCHEMAS[LOGS_SHEET_NAME].headers.concat(['Tab']);
+  sheet.clear();
+  sheet.getRange(1, 1).setValue(`Audit trail for ${query}: ${entries.length} entries, newest first`).setFontWeight('bold');
+  sheet.getRange(2, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  if (entries.length > 0) sheet.getRange(3, 1, entries.length, headers.length).setValues(entries);
+  sheet.setFrozenRows(2);
+  sheet.activate();
+  logAction('Audit Trail', `Query: ${query}, Entries: ${entries.length}`);
+}
+
+// --- ARCHIVE ---
+
+/**
+ * Parses an archive search. Plain words match a GroupID, Cooperator ID or name; status:, from: and
+ * to: (yyyy-MM-dd, inclusive) narrow the results, e.g. "NA1 status:Expired from:2026-01-01".
+ * @param {string} text Search text.
+ * @returns {Object} { terms, status, from, to } or { error }.
+ */
+function parseArchiveQuery(text) {
+  const query = { terms: [], status: '', from: null, to: null };
+  for (const token of String(text).trim().split(/\s+/).filter(token => token)) {
+    const filter = token.match(/^(status|from|to):(.*)$/i);
+    if (!filter) {
+      query.terms.push(token.toUpperCase());
+      continue;
+    }
+    const name = filter[1].toLowerCase();
+    if (name === 'status') {
+      query.status = filter[2].toUpperCase();
+      continue;
+    }
+    const date = filter[2].match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!date) return { error: `${name}: must be a date like 2026-01-31` };
+    query[name] = name === 'from'
+      ? new Date(date[1], date[2] - 1, date[3])
+      : new Date(date[1], date[2] - 1, Number(date[3]) + 1);
+  }
+  return query;
+}
+
+/**
+ * Finds archived groups matching a search. Each word must match the GroupID, a Cooperator ID
+ * (applicant or guarantor, including Intent rows of groups archived before applying) exactly, or be
+ * part of a participant's name. The date range applies to ArchivedAt, or the Timestamp for groups
+ * archived before ArchivedAt was recorded.
+ * @param {Object} query Result of parseArchiveQuery.
+ * @returns {Object[]} Archive records, most recently archived first.
+ */
+function searchArchive(query) {
+  const archive = getTable(ARCHIVE_SHEET_NAME);
+  const intent = getTable(LOAN_INTENT_SHEET_NAME);
+  const archivedOn = record => new Date(record['ArchivedAt'] || record['Timestamp']);
+  const sortKey = record => archivedOn(record).getTime() || 0;
+  return archive.rows.map(row => archive.record(row))
+    .filter(record => {
+      if (query.status && String(record['ApplicationStatus']).toUpperCase() !== query.status) return false;
+      const date = archivedOn(record);
+      if ((query.from || query.to) && isNaN(date)) return false;
+      if (query.from && date < query.from) return false;
+      if (query.to && date >= query.to) return false;
+      const participants = intent ? intent.findAll(record['GroupID']) : [];
+      const ids = [record['GroupID'], record['CooperatorID'], record['Guarantor1ID'], record['Guarantor2ID']]
+        .concat(participants.map(row => row[2]))
+        .map(id => String(id || '').toUpperCase());
+      const names = [record['Name'], record['Guarantor1Name'], record['Guarantor2Name']]
+        .concat(participants.map(row => row[3]))
+        .map(name => String(name || '').toUpperCase()).join(' ');
+      return query.terms.every(term => ids.includes(term) || names.includes(term));
+    })
+    .sort((a, b) => sortKey(b) - sortKey(a));
+}
+
+/**
+ * Asks for an archive search and lists the matching groups in the ArchiveSearch tab.
+ */
+function showArchiveSearch() {
+  setAuditContext('Menu: Search Archive');
+  const ui = SpreadsheetApp.getUi();
+  const text = ui.prompt('Search the Archive by GroupID, Cooperator ID or name; add status:Expired, from:2026-01-01 or to:2026-03-31 to narrow it')
+    .getResponseText().trim();
+  if (!text) return;
+  const query = parseArchiveQuery(text);
+  if (query.error) {
+    ui.alert(`Error: ${query.error}`);
+    return;
+  }
+  const headers = ['GroupID', 'CooperatorID', 'Name', 'LoanAmountFigures', 'ApplicationStatus', 'FinanceOfficerName', 'Timestamp', 'ArchivedAt'];
+  const results = searchArchive(query).map(record => {
+    const applicant = getPendingApplicant(record);
+    const values = Object.assign({}, record, { 'CooperatorID': applicant.id, 'Name': applicant.name });
+    return headers.map(header => values[header] === undefined ? '' : values[header]);
+  });
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(ARCHIVE_SEARCH_SHEET_NAME) || ss.insertSheet(ARCHIVE_SEARCH_SHEET_NAME);
+  sheet.clear();
+  sheet.getRange(1, 1).setValue(`Archive search for ${text}: ${results.length} group(s). Use Reopen Application to restore one.`).setFontWeight('bold');
+  sheet.getRange(2, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  if (results.length > 0) sheet.getRange(3, 1, results.length, headers.length).setValues(results);
+  sheet.setFrozenRows(2);
+  sheet.activate();
+}
+
+/**
+ * Moves an archived group back to Control with a fresh countdown. An expired group whose applicant
+ * had submitted returns to ApplicantSubmitted and the parties who had not acted get fresh links;
+ * any other group (or a rejected one) restarts at PendingFinanceOfficer, with its review, stage
+ * decisions, guarantor consents and eligibility cleared. Completed loans stay archived. Admins only.
+ * @param {string} groupID Group ID.
+ * @returns {string|null} Error message, or null if the group was reopened.
+ */
+function reopenApplication(groupID) {
+  const actor = requireAdmin_();
+  return withScriptLock(() => {
+    const archive = getTable(ARCHIVE_SHEET_NAME);
+    const control = getTable(CONTROL_SHEET_NAME);
+    const row = archive.find(groupID);
+    if (!row) {
+      logAction('Error', `Reopen failed for GroupID: ${groupID}: not in Archive`);
+      return `GroupID ${groupID} not found in Archive`;
+    }
+    if (control.find(groupID)) return `GroupID ${groupID} is already open in Control`;
+    const record = archive.record(row);
+    const from = record['ApplicationStatus'] || '';
+    const to = from === STATUS_EXPIRED && record['Email'] && record['FinanceOfficerEmail']
+      ? STATUS_APPLICANT_SUBMITTED : STATUS_PENDING_FINANCE_OFFICER;
+    const transitionError = getStatusTransitionError(from, to, record);
+    if (transitionError) {
+      logAction('Error', `Reopen failed for GroupID: ${groupID}: ${transitionError}`);
+      return `GroupID ${groupID} cannot be reopened from ${from || '(no status)'}.`;
+    }
+    const applicant = getPendingApplicant(record);
+    const cooperatorCol = control.col('CooperatorID');
+    const statusCol = control.col('ApplicationStatus');
+    const openGroup = applicant.id && control.rows.find(r => r[cooperatorCol - 1] === applicant.id &&
+      ![STATUS_FINANCE_REVIEWED, STATUS_EXPIRED].includes(r[statusCol - 1]));
+    if (openGroup) {
+      logAction('Error', `Reopen failed for GroupID: ${groupID}: CooperatorID ${applicant.id} has open GroupID ${openGroup[control.col('GroupID') - 1]}`);
+      return `Cooperator ${applicant.id} already has an open application (${openGroup[control.col('GroupID') - 1]})`;
+    }
+
+    ensureControlHeaders(REMINDER_TRACKING_HEADERS.concat(GUARANTOR_CONSENT_HEADERS,
+      ['EligibilityResult', 'EligibilityDetails', 'CurrentStage', 'StageStartedAt', 'StageDecisions', 'ExtensionDays', 'ArchivedAt']));
+    const values = { 'Locked': 'FALSE', 'Timestamp': new Date(), 'ExtensionDays': '', 'EscalatedDeadline': '', 'ArchivedAt': '' };
+    if (to === STATUS_PENDING_FINANCE_OFFICER) {
+      Object.assign(values, { 'Notified': 'FALSE', 'Status': '', 'CurrentStage': '', 'StageStartedAt': '', 'StageDecisions': '',
+        'EligibilityResult': '', 'EligibilityDetails': '', 'Guarantor1SubmittedAt': '', 'Guarantor2SubmittedAt': '' });
+      GUARANTOR_CONSENT_HEADERS.forEach(header => { values[header] = ''; });
+    }
+    control.append(Object.assign({}, record, values));
+    archive.remove(row);
+    transitionStatus(groupID, to, actor, `Reopened from ${from || '(no status)'}`);
+
+    if (to === STATUS_APPLICANT_SUBMITTED) {
+      sendReopenedLinks(groupID);
+    } else {
+      if (!record['FinanceOfficerEmail']) autoAssignFinanceOfficer(groupID);
+      sendTemplatedEmail('IntentReopened', applicant.email, {
+        Name: applicant.name,
+        GroupID: groupID,
+        PortalHtml: buildPortalLinkHtml(groupID, ROLE_APPLICANT, applicant.email, applicant.name)
+      });
+    }
+    logAction('Reopened', `GroupID: ${groupID}, ${from || '(no status)'} -> ${to}, by ${actor}`);
+    return null;
+  });
+}
+
+/**
+ * Regenerates a reopened group's links and sends them to the applicant and every party who has not acted.
+ * @param {string} groupID Group ID.
+ */
+function sendReopenedLinks(groupID) {
+  const record = getGroupRecord(groupID);
+  const links = {
+    applicant: generatePrefilledLink(groupID, ROLE_APPLICANT, record['Email']),
+    finance: generatePrefilledLink(groupID, ROLE_FINANCE, record['FinanceOfficerEmail'])
+  };
+  updateControlRow(groupID, { 'ApplicantLink': links.applicant, 'FinanceLink': links.finance });
+  Object.assign(record, { 'ApplicantLink': links.applicant, 'FinanceLink': links.finance });
+  const deadline = formatDate(getExpiryDeadline(record));
+  const table = buildHtmlTableFromObject({
+    'Loan ID': groupID,
+    'Applicant Name': record['Name'],
+    'Loan Amount (Figures)': record['LoanAmountFigures'],
+    'Finance Officer': record['FinanceOfficerName'],
+    'Expires On': deadline
+  });
+  sendTemplatedEmail('ApplicationReopened', record['Email'], {
+    Name: record['Name'],
+    GroupID: groupID,
+    Deadline: deadline,
+    DetailsTable: table,
+    ProgressTable: buildHtmlTableFromObject(getPartyProgress(record)),
+    Link: links.applicant,
+    PortalHtml: buildPortalLinkHtml(groupID, ROLE_APPLICANT, record['Email'], record['Name'])
+  });
+  getOutstandingParties(record).forEach(party => {
+    const link = party.email ? party.link() : '';
+    if (!link) return;
+    sendTemplatedEmail(party.role === ROLE_FINANCE ? 'ReviewRequired' : 'ActionRequired', party.email, {
+      Name: party.name,
+      ApplicantName: record['Name'],
+      GroupID: groupID,
+      DetailsTable: table,
+      Link: link,
+      PortalHtml: buildPortalLinkHtml(groupID, party.role, party.email, party.name)
+    });
+  });
+}
+
+/**
+ * Reopens an archived application from the menu.
+ */
+function manualReopen() {
+  setAuditContext('Menu: Reopen Application');
+  requireAdmin_();
+  const ui = SpreadsheetApp.getUi();
+  const groupID = ui.prompt('Enter GroupID to reopen').getResponseText().trim().toUpperCase();
+  if (!groupID) return;
+  const error = reopenApplication(groupID);
+  const record = error ? null : getGroupRecord(groupID);
+  ui.alert(error ? `Error: ${error}` : `Success: GroupID ${groupID} reopened as ${record['ApplicationStatus']}`);
+}
+
+// --- LOAN AGREEMENTS ---
+
+/**
+ * Spells out an amount in English words, with any fraction as hundredths (e.g., "One Thousand Two Hundred and 50/100").
+ * @param {number} amount Amount to spell out.
+ * @returns {string} Amount in words.
+ */
+function amountToWords(amount) {
+  const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+    'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+  const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+  const scales = ['', 'Thousand', 'Million', 'Billion', 'Trillion'];
+  const belowThousand = n => {
+    const words = [];
+    if (n >= 100) words.push(`${ones[Math.floor(n / 100)]} Hundred`);
+    const rest = n % 100;
+    if (rest > 0) {
+      const restWords = rest < 20 ? ones[rest] : `${tens[Math.floor(rest / 10)]}${rest % 10 ? '-' + ones[rest % 10] : ''}`;
+      words.push(words.length ? `and ${restWords}` : restWords);
+    }
+    return words.join(' ');
+  };
+  const cents = Math.round(Math.abs(amount) * 100);
+  let whole = Math.floor(cents / 100);
+  const fraction = cents % 100;
+  const parts = [];
+  for (let scale = 0; whole > 0 && scale < scales.length; scale++, whole = Math.floor(whole / 1000)) {
+    const chunk = whole % 1000;
+    if (chunk > 0) parts.unshift(`${belowThousand(chunk)}${scales[scale] ? ' ' + scales[scale] : ''}`);
+  }
+  const words = parts.length ? parts.join(' ') : 'Zero';
+  return fraction ? `${words} and ${String(fraction).padStart(2, '0')}/100` : words;
+}
+
+/**
+ * Gets the Drive folder holding a group's documents, creating it on first use.
+ * Group folders live in LOAN_AGREEMENT_FOLDER_ID, or the Drive root if it is not set.
+ * @param {string} groupID Group ID.
+ * @returns {GoogleAppsScript.Drive.Folder} Group folder.
+ */
+function getGroupFolder(groupID) {
+  const folderId = PropertiesService.getScriptProperties().getProperty('LOAN_AGREEMENT_FOLDER_ID');
+  const parent = folderId ? DriveApp.getFolderById(folderId) : DriveApp.getRootFolder();
+  const existing = parent.getFoldersByName(groupID);
+  return existing.hasNext() ? existing.next() : parent.createFolder(groupID);
+}
+
+/**
+ * Generates a group's loan agreement PDF from the Docs template in LOAN_AGREEMENT_TEMPLATE_ID,
+ * stores it in the group's Drive folder and links it from the AgreementLink column. Skipped in dry-run mode.
+ * The template may use {{Header}} for any Control column plus {{Date}}, {{LoanAmountInWords}},
+ * {{InterestRate}}, {{InterestMethod}}, {{TotalRepayable}} and {{MonthlyInstallment}}.
+ * @param {string} groupID Group ID.
+ * @param {Object|null} repayment Result of generateRepaymentSchedule, if any.
+ * @returns {GoogleAppsScript.Drive.File|null} The PDF, or null if it could not be generated.
+ */
+function generateLoanAgreement(groupID, repayment) {
+  if (isDryRun()) {
+    logAction('Dry Run', `Loan agreement not generated for GroupID: ${groupID}`);
+    return null;
+  }
+  const templateId = PropertiesService.getScriptProperties().getProperty('LOAN_AGREEMENT_TEMPLATE_ID');
+  if (!templateId) {
+    logAction('Error', 'Loan agreement template ID not set');
+    return null;
+  }
+  const record = getGroupRecord(groupID);
+  if (!record) {
+    logAction('Error', `Loan agreement: GroupID not found: ${groupID}`);
+    return null;
+  }
+  ensureControlHeaders(['AgreementLink']);
+  const amount = parseAmount(record['LoanAmountFigures']);
+  const values = Object.assign({}, record, {
+    'Date': formatDate(new Date()),
+    'LoanAmountFigures': amount.toFixed(2),
+    'LoanAmountInWords': record['LoanAmountWords'] || amountToWords(amount),
+    'InterestRate': repayment ? `${repayment.rate}%` : '',
+    'InterestMethod': repayment ? repayment.method : '',
+    'TotalRepayable': repayment ? roundMoney(repayment.schedule.reduce((sum, item) => sum + item.installment, 0)).toFixed(2) : '',
+    'MonthlyInstallment': repayment && repayment.schedule.length ? repayment.schedule[0].installment.toFixed(2) : ''
+  });
+  try {
+    const folder = getGroupFolder(groupID);
+    const copy = DriveApp.getFileById(templateId).makeCopy(`Loan Agreement - ${groupID}`, folder);
+    const doc = DocumentApp.openById(copy.getId());
+    const body = doc.getBody();
+    Object.keys(values).forEach(key => {
+      if (!/^\w+$/.test(key)) return;
+      const value = values[key] instanceof Date ? formatDate(values[key]) : String(values[key] === undefined || values[key] === null ? '' : values[key]);
+      body.replaceText(`\\{\\{${key}\\}\\}`, value);
+    });
+    doc.saveAndClose();
+    const pdf = folder.createFile(copy.getAs(MimeType.PDF)).setName(`Loan Agreement - ${groupID}.pdf`);
+    copy.setTrashed(true);
+    updateControlRow(groupID, { 'AgreementLink': pdf.getUrl() });
+    logAction('Loan Agreement', `Generated for GroupID: ${groupID}`);
+    return pdf;
+  } catch (e) {
+    logAction('Error', `Failed to generate loan agreement for GroupID: ${groupID}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Trashes a rejected group's loan agreement PDF and clears its AgreementLink. Skipped in dry-run mode,
+ * where the sandbox row still links the live PDF.
+ * @param {string} groupID Group ID.
+ */
+function discardLoanAgreement(groupID) {
+  const record = getGroupRecord(groupID);
+  const match = record && String(record['AgreementLink'] || '').match(/\/d\/([\w-]+)/);
+  if (!match) return;
+  if (isDryRun()) {
+    logAction('Dry Run', `Loan agreement not discarded for GroupID: ${groupID}`);
+    return;
+  }
+  try {
+    DriveApp.getFileById(match[1]).setTrashed(true);
+    updateControlRow(groupID, { 'AgreementLink': '' });
+    logAction('Loan Agreement', `Discarded for GroupID: ${groupID}`);
+  } catch (e) {
+    logAction('Error', `Failed to discard loan agreement for GroupID: ${groupID}: ${e.message}`);
+  }
+}
+
+// --- ADMIN SIDEBAR ---
+
+/**
+ * Lists a group's participants with the link each uses to submit the Application Form.
+ * @param {Object} record Group's Control record.
+ * @returns {Object[]} Parties: { key, label, role, name, id, email, phone, link }.
+ */
+function getGroupParties_(record) {
+  const groupID = record['GroupID'];
+  const parties = [{
+    key: 'Applicant', label: 'Applicant', role: ROLE_APPLICANT, name: record['Name'], id: record['CooperatorID'],
+    email: record['Email'], phone: record['Phone'], link: () => generatePrefilledLink(groupID, ROLE_APPLICANT, record['Email'])
+  }];
+  ['1', '2'].forEach(num => parties.push({
+    key: `Guarantor${num}`, label: `Guarantor ${num}`, role: ROLE_GUARANTOR, name: record[`Guarantor${num}Name`],
+    id: record[`Guarantor${num}ID`], email: record[`Guarantor${num}Email`], phone: record[`Guarantor${num}Phone`],
+    link: () => generatePrefilledLink(groupID, ROLE_GUARANTOR, record[`Guarantor${num}Email`])
+  }));
+  parties.push({
+    key: 'FinanceOfficer', label: 'Finance Officer', role: ROLE_FINANCE, name: record['FinanceOfficerName'],
+    id: record['FinanceOfficerID'], email: record['FinanceOfficerEmail'], phone: record['FinanceOfficerPhone'],
+    link: () => record['FinanceLink'] || generatePrefilledLink(groupID, ROLE_FINANCE, record['FinanceOfficerEmail'])
+  });
+  return parties;
+}
+
+/**
+ * Gets the latest Logs entries about a group, newest first, leaving out field-level Control changes.
+ * @param {string} groupID Group ID.
+ * @param {number} limit Most entries to return.
+ * @returns {Array[]} Rows of [time, action, details].
+ */
+function getRecentGroupLogs_(groupID, limit) {
+  const data = getLogsSheet().getDataRange().getValues();
+  const cols = { groupID: data[0].indexOf('GroupID'), field: data[0].indexOf('Field') };
+  return data.slice(1)
+    .filter(row => (cols.groupID >= 0 ? row[cols.groupID] === groupID : String(row[2]).split(/[^A-Za-z0-9]+/).includes(groupID)) &&
+      !(cols.field >= 0 && row[cols.field]))
+    .slice(-limit)
+    .reverse()
+    .map(row => [row[0] instanceof Date ? Utilities.formatDate(row[0], Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm') : row[0], row[1], row[2]]);
+}
+
+/**
+ * Builds the group panel of the admin sidebar: details, party progress, recent logs and action controls.
+ * @param {string} groupID Group ID.
+ * @returns {string} HTML.
+ */
+function buildAdminGroupHtml_(groupID) {
+  const control = getTable(CONTROL_SHEET_NAME);
+  const row = groupID ? control.find(groupID) : null;
+  if (!row) {
+    const archived = groupID ? getGroupRecord(groupID) : null;
+    return archived
+      ? `<p><strong>${escapeHtml(groupID)}</strong> is in the Archive (${escapeHtml(archived['ApplicationStatus'])}).</p>`
+      : '<p>Select a group\'s row in the Control tab and click Refresh.</p>';
+  }
+  const record = control.record(row);
+  const status = record['ApplicationStatus'];
+  const locked = record['Locked'] === 'TRUE';
+  const openFlags = getOpenFlags(groupID);
+  let countdown = 'Not running';
+  if (status === STATUS_APPLICANT_SUBMITTED) {
+    const deadline = getExpiryDeadline(record);
+    const days = Math.ceil((deadline.getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+    countdown = `${days} day(s), until ${formatDate(deadline)}`;
+  }
+  const details = buildHtmlTableFromObject({
+    'Loan ID': groupID,
+    'Status': status + (record['CurrentStage'] ? ` (${record['CurrentStage']})` : ''),
+    'Locked': locked ? 'Yes' : 'No',
+    'Days Remaining': countdown,
+    'Extension Days': record['ExtensionDays'],
+    'Loan Amount': record['LoanAmountFigures'],
+    'Repayment Period': record['RepaymentPeriod'],
+    'Submitted': record['Timestamp'] ? formatDate(record['Timestamp']) : '',
+    'Comments': record['Comments'],
+    'Guarantor Limit': record['GuarantorLimitNote'],
+    'Open Flags': openFlags.map(flag => `${flag['Type']}: ${flag['Details']}`).join('; ') || 'None'
+  });
+  const parties = getGroupParties_(record);
+  const progress = Object.values(getPartyProgress(record));
+  const partyTable = buildHtmlTableFromRows(['Party', 'Name', 'ID', 'Email', 'Phone', 'Progress'],
+    parties.map((party, i) => [party.label, party.name, party.id, party.email, party.phone, progress[i]]));
+  const logs = getRecentGroupLogs_(groupID, 10);
+  const logTable = logs.length > 0 ? buildHtmlTableFromRows(['Time', 'Action', 'Details'], logs) : '<p>No log entries.</p>';
+  const officerOptions = getFinanceOfficers()
+    .filter(officer => officer.active)
+    .map(officer => `<option value="${escapeHtml(officer.id)}">${escapeHtml(officer.name)}</option>`).join('');
+  const partyOptions = parties.filter(party => party.email)
+    .map(party => `<option value="${party.key}">${escapeHtml(party.label)}</option>`).join('');
+  const actions = `
+    <h3>Actions</h3>
+    <p><select id="officer"><option value="">Auto-assign</option>${officerOptions}</select>
+      <button onclick="act('assign', { officerId: value('officer') })">Assign Officer</button></p>
+    <p><select id="party">${partyOptions}</select>
+      <button onclick="act('resend', { party: value('party') })">Resend Link</button></p>
+    <p><input id="days" type="number" min="1" max="60" value="3" style="width:60px;">
+      <button onclick="act('extend', { days: value('days') })">Extend Deadline</button></p>
+    <p><button onclick="act('${locked ? 'unlock' : 'lock'}', {})">${locked ? 'Unlock' : 'Lock'}</button>
+      <button onclick="act('reset', {}, ${escapeHtml(JSON.stringify(`Reset ${groupID} to ${STATUS_PENDING_FINANCE_OFFICER}?`))})">Reset</button>
+      <button onclick="act('archive', {}, ${escapeHtml(JSON.stringify(`Move ${groupID} to the Archive?`))})">Archive</button></p>` +
+    (openFlags.length > 0 ? `
+    <p><input id="flagNote" placeholder="Reason for clearing" style="width:160px;">
+      <button onclick="act('clearFlags', { note: value('flagNote') })">Clear Flags</button></p>` : '');
+  return `<h3>${escapeHtml(groupID)} - ${escapeHtml(record['Name'])}</h3>${details}<h3>Participants</h3>${partyTable}` +
+    `${actions}<h3>Recent Activity</h3>${logTable}`;
+}
+
+/**
+ * Gets the GroupID of the row selected in the Control tab.
+ * @returns {string} Group ID, or empty if no Control row is selected.
+ */
+function getSelectedGroupID_() {
+  const sheet = SpreadsheetApp.getActiveSheet();
+  if (sheet.getName() !== getStateSheetName(CONTROL_SHEET_NAME)) return '';
+  const row = sheet.getActiveRange().getRow();
+  if (row < 2) return '';
+  return String(sheet.getRange(row, getColumnIndex(sheet, 'GroupID')).getValue()).trim();
+}
+
+/**
+ * Loads the group selected in the Control tab into the sidebar. Admins only.
+ * @returns {Object} { groupID, html, message }.
+ */
+function loadSelectedGroup() {
+  requireAdmin_();
+  const groupID = getSelectedGroupID_();
+  return { groupID: groupID, html: buildAdminGroupHtml_(groupID), message: '' };
+}
+
+/**
+ * Admin actions offered by the sidebar. Each receives the group's Control record, the action's
+ * parameters and the admin's email, and returns { message } on success or { error }.
+ */
+const ADMIN_ACTIONS = {
+  assign: (record, params, actor) => {
+    const groupID = record['GroupID'];
+    const status = record['ApplicationStatus'];
+    if (![STATUS_PENDING_FINANCE_OFFICER, STATUS_APPLICANT_SUBMITTED].includes(status)) {
+      return { error: `The Finance Officer cannot be changed once the application is ${status}` };
+    }
+    let officer;
+    if (params.officerId) {
+      officer = getFinanceOfficers().find(candidate => candidate.key === String(params.officerId).trim().toUpperCase());
+      if (!officer) return { error: `Finance Officer ${params.officerId} not found` };
+      if (getGroupParticipantIds(groupID).includes(officer.key)) return { error: `${officer.name} is a participant of this group` };
+      updateControlRow(groupID, {
+        'FinanceOfficerName': officer.name,
+        'FinanceOfficerID': officer.id,
+        'FinanceOfficerEmail': officer.email,
+        'FinanceOfficerPhone': officer.phone
+      });
+    } else {
+      officer = autoAssignFinanceOfficer(groupID);
+      if (!officer) return { error: 'No Finance Officer available. Check Logs.' };
+    }
+    logAction('Assign', `GroupID: ${groupID}, Officer: ${officer.name}, Previous: ${record['FinanceOfficerName'] || 'none'}, By: ${actor}`);
+    if (status === STATUS_PENDING_FINANCE_OFFICER) {
+      updateControlRow(groupID, { 'Notified': 'FALSE' });
+      return { message: `${officer.name} assigned. Run Notify New Assignments to tell the applicant.` };
+    }
+    const link = generatePrefilledLink(groupID, ROLE_FINANCE, officer.email);
+    updateControlRow(groupID, { 'FinanceLink': link });
+    sendTemplatedEmail('ReviewRequired', officer.email, {
+      Name: officer.name,
+      ApplicantName: record['Name'],
+      GroupID: groupID,
+      DetailsTable: buildHtmlTableFromObject({ 'Loan ID': groupID, 'Applicant Name': record['Name'], 'Loan Amount': record['LoanAmountFigures'] }),
+      Link: link,
+      PortalHtml: buildPortalLinkHtml(groupID, ROLE_FINANCE, officer.email, officer.name)
+    });
+    return { message: `${officer.name} assigned and sent the review link.` };
+  },
+  resend: (record, params, actor) => {
+    const groupID = record['GroupID'];
+    if (record['Locked'] === 'TRUE') return { error: 'The application is locked. Unlock it first.' };
+    const party = getGroupParties_(record).find(candidate => candidate.key === params.party);
+    if (!party || !party.email) return { error: 'That participant has no email address' };
+    const link = party.link();
+    if (!link) return { error: 'Could not build the form link. Check Logs.' };
+    sendTemplatedEmail('LinkResent', party.email, {
+      Name: party.name,
+      Role: party.label,
+      GroupID: groupID,
+      DetailsTable: buildHtmlTableFromObject({ 'Loan ID': groupID, 'Applicant Name': record['Name'], 'Status': record['ApplicationStatus'] }),
+      Link: link,
+      PortalHtml: buildPortalLinkHtml(groupID, party.role, party.email, party.name)
+    });
+    logAction('Link Resent', `GroupID: ${groupID}, ${party.label}: ${party.email}, By: ${actor}`);
+    return { message: `Link resent to ${party.label} (${party.email}).` };
+  },
+  extend: (record, params, actor) => {
+    const groupID = record['GroupID'];
+    const days = parseInt(params.days, 10);
+    if (!(days >= 1 && days <= 60)) return { error: 'Extend by 1 to 60 days' };
+    if (record['ApplicationStatus'] !== STATUS_APPLICANT_SUBMITTED) {
+      return { error: `Only ${STATUS_APPLICANT_SUBMITTED} applications have a deadline` };
+    }
+    ensureControlHeaders(['ExtensionDays']);
+    const total = (parseInt(record['ExtensionDays'], 10) || 0) + days;
+    updateControlRow(groupID, { 'ExtensionDays': total });
+    const deadline = getExpiryDeadline(Object.assign({}, record, { 'ExtensionDays': total }));
+    logAction('Deadline Extended', `GroupID: ${groupID}, +${days} day(s) (total ${total}), New deadline: ${formatDate(deadline)}, By: ${actor}`);
+    return { message: `Deadline extended to ${formatDate(deadline)}.` };
+  },
+  reset: (record, params, actor) => {
+    const error = resetApplication_(record['GroupID'], actor);
+    return error ? { error: error } : { message: `Reset to ${STATUS_PENDING_FINANCE_OFFICER}.` };
+  },
+  lock: (record, params, actor) => {
+    updateControlRow(record['GroupID'], { 'Locked': 'TRUE' });
+    logAction('Locked', `GroupID: ${record['GroupID']}, By: ${actor}`);
+    return { message: 'Application locked.' };
+  },
+  unlock: (record, params, actor) => {
+    updateControlRow(record['GroupID'], { 'Locked': 'FALSE' });
+    logAction('Unlocked', `GroupID: ${record['GroupID']}, By: ${actor}`);
+    return { message: 'Application unlocked.' };
+  },
+  clearFlags: (record, params, actor) => {
+    const result = clearFlags(record['GroupID'], params.note);
+    return result.error ? result : { message: `${result.count} flag(s) cleared.` };
+  },
+  archive: (record, params, actor) => {
+    archiveApplication(record['GroupID']);
+    logAction('Manual Archive', `GroupID: ${record['GroupID']}, By: ${actor}`);
+    return { message: 'Moved to the Archive.' };
+  }
+};
+
+/**
+ * Runs a sidebar action on a group and returns the refreshed panel. Admins only.
+ * @param {string} groupID Group ID.
+ * @param {string} action Key of ADMIN_ACTIONS.
+ * @param {Object} params Action parameters from the sidebar.
+ * @returns {Object} { groupID, html, message }.
+ */
+function runAdminAction(groupID, action, params) {
+  setAuditContext(`Sidebar: ${action}`);
+  const actor = requireAdmin_();
+  const handler = ADMIN_ACTIONS[action];
+  const row = getTable(CONTROL_SHEET_NAME).find(groupID);
+  let result;
+  if (!handler) {
+    result = { error: `Unknown action: ${action}` };
+  } else if (!row) {
+    result = { error: `GroupID ${groupID} is not in Control` };
+  } else {
+    result = handler(getTable(CONTROL_SHEET_NAME).record(row), params || {}, actor);
+  }
+  if (result.error) logAction('Error', `Admin ${action} failed for GroupID: ${groupID}: ${result.error}`);
+  return { groupID: groupID, html: buildAdminGroupHtml_(groupID), message: result.error ? `Error: ${result.error}` : result.message };
+}
+
+/**
+ * Opens the admin sidebar for the group selected in the Control tab.
+ */
+function openAdminSidebar() {
+  requireAdmin_();
+  const groupID = getSelectedGroupID_();
+  const script = `<script>
+    var groupID = ${JSON.stringify(groupID)};
+    function value(id) { return document.getElementById(id).value; }
+    function show(result) {
+      groupID = result.groupID;
+      document.getElementById('group').innerHTML = result.html;
+      document.getElementById('status').textContent = result.message;
+    }
+    function fail(error) { document.getElementById('status').textContent = 'Error: ' + error.message; }
+    function act(action, params, question) {
+      if (question && !confirm(question)) return;
+      document.getElementById('status').textContent = 'Working...';
+      google.script.run.withSuccessHandler(show).withFailureHandler(fail).runAdminAction(groupID, action, params);
+    }
+    function refresh() {
+      document.getElementById('status').textContent = 'Loading...';
+      google.script.run.withSuccessHandler(show).withFailureHandler(fail).loadSelectedGroup();
+    }
+  </script>`;
+  const html = HtmlService.createHtmlOutput(
+    `<div style="font-family:Arial,sans-serif;font-size:12px;">` +
+    `<p><button onclick="refresh()">Refresh</button> <span id="status" style="color:#b00;"></span></p>` +
+    `<div id="group">${buildAdminGroupHtml_(groupID)}</div></div>${script}`
+  ).setTitle('Manage Group');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Creates a custom menu in the spreadsheet.
+ */
+function onOpen() {
+  SpreadsheetApp.getUi()
+    .createMenu('CSULMCS Loan System')
+    .addItem('Set Up Form IDs', 'runSetUpFormIds')
+    .addItem('Set Up Triggers', 'setupTriggers')
+    .addItem('Settings', 'openSettingsDialog')
+    .addItem('Notify New Assignments', 'notifyNewFinanceOfficerAssignments')
+    .addItem('Manage Group', 'openAdminSidebar')
+    .addItem('Reset Application', 'manualReset')
+    .addItem('Search Archive', 'showArchiveSearch')
+    .addItem('Reopen Application', 'manualReopen')
+    .addItem('Clear Flags', 'manualClearFlags')
+    .addItem('Post Repayment', 'manualPostRepayment')
+    .addItem('Import Repayments', 'importRepayments')
+    .addItem('Process Outbox', 'processOutbox')
+    .addItem('Build Dashboard', 'buildDashboard')
+    .addItem('Audit Trail', 'showAuditTrail')
+    .addItem('Validate Sheets', 'validateSchemas')
+    .addItem('Migrate Sheets', 'runMigrateSchemas')
+    .addItem('Dry Run On/Off', 'toggleDryRun')
+    .addItem('Replay Form Event', 'manualReplayFormEvent')
+    .addToUi();
+  if (getStoredSchemaVersion() < SCHEMA_VERSION) {
+    SpreadsheetApp.getActiveSpreadsheet().toast('Sheet layout is out of date. Run CSULMCS Loan System > Migrate Sheets.', 'CSULMCS Loan System');
+  }
+  if (isDryRun()) {
+    SpreadsheetApp.getActiveSpreadsheet().toast(`Dry run is on: messages from menu actions and daily jobs go to ${MAIL_PREVIEW_SHEET_NAME} and only the${DRY_RUN_SUFFIX} tabs change. Form submissions still use the live tabs.`, 'CSULMCS Loan System');
+  }
+}
+
+/**
+ * Sets up triggers for the system.
+ */
+function setupTriggers() {
+  const triggers = [
+    { name: 'sendDailyReminders', type: 'timeBased', everyDays: 1, atHour: getSetting('REMINDER_HOUR') },
+    { name: 'processOverdueRepayments', type: 'timeBased', everyDays: 1, atHour: getSetting('REMINDER_HOUR') },
+    { name: 'processOutbox', type: 'timeBased', everyMinutes: 10 },
+    { name: 'retryPendingFormEvents', type: 'timeBased', everyMinutes: 10 },
+    { name: 'buildDashboard', type: 'timeBased', weekDay: 'MONDAY', atHour: 7 },
+    { name: 'rotateLogs', type: 'timeBased', monthDay: 1, atHour: 1 },
+    { name: 'scanForFraud', type: 'timeBased', everyDays: 1, atHour: 2 },
+    { name: 'onIntentFormSubmit', type: 'formSubmit', formIdKey: 'LOAN_INTENT_FORM_ID' },
+    { name: 'onApplicationFormSubmit', type: 'formSubmit', formIdKey: 'LOAN_APPLICATION_FORM_ID' },
+    { name: 'syncParticipantDetails', type: 'formSubmit', formIdKey: 'LOAN_APPLICATION_FORM_ID' }
+  ];
+  triggers.forEach(trigger => {
+    if (!ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === trigger.name)) {
+      if (trigger.type === 'timeBased') {
+        const builder = ScriptApp.newTrigger(trigger.name).timeBased();
+        if (trigger.everyMinutes) {
+          builder.everyMinutes(trigger.everyMinutes).create();
+        } else if (trigger.weekDay) {
+          builder.onWeekDay(ScriptApp.WeekDay[trigger.weekDay]).atHour(trigger.atHour).create();
+        } else if (trigger.monthDay) {
+          builder.onMonthDay(trigger.monthDay).atHour(trigger.atHour).create();
+        } else {
+          builder.everyDays(trigger.everyDays).atHour(trigger.atHour).create();
+        }
+        logAction('Success', `Created time-based trigger: ${trigger.name}`);
+      } else if (trigger.type === 'formSubmit') {
+        const formId = PropertiesService.getScriptProperties().getProperty(trigger.formIdKey);
+        if (formId) {
+          ScriptApp.newTrigger(trigger.name)
+            .forForm(formId)
+            .onFormSubmit()
+            .create();
+          logAction('Success', `Created form trigger: ${trigger.name}`);
+        } else {
+          logAction('Error', `Form ID not set for trigger: ${trigger.name}`);
+        }
+      }
+    }
+  });
+  logAction('Success', 'All triggers setup completed');
+}
+
+/**
+ * Moves the daily triggers, if they have been set up, to the REMINDER_HOUR setting.
+ */
+function rescheduleDailyTriggers() {
+  const hour = getSetting('REMINDER_HOUR');
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => ['sendDailyReminders', 'processOverdueRepayments'].includes(trigger.getHandlerFunction()))
+    .forEach(trigger => {
+      const name = trigger.getHandlerFunction();
+      ScriptApp.deleteTrigger(trigger);
+      ScriptApp.newTrigger(name).timeBased().everyDays(1).atHour(hour).create();
+      logAction('Success', `Moved time-based trigger ${name} to ${hour}:00`);
+    });
 }
 
 /**